@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { createCanvas, ImageData } from '@napi-rs/canvas';
+import { DEFAULT_CONFIG, extractLabels } from '../src/lib/detection.js';
+import { baseName } from '../src/lib/files.js';
+import {
+  DEFAULT_OUTPUT, FIT_MODES, LABEL_DPI_OPTIONS, LABEL_SIZES, SLIP_PAPERS, getLabelSize, getSlipPaper, labelPixels
+} from '../src/lib/labelSizes.js';
+import { createLabelPdf, createSlipPdf, pdfPlacement } from '../src/lib/pdfExport.js';
+import { FRAME_EXTENSIONS, IMAGE_EXTENSIONS, PDF_EXTENSIONS, listInputs, loadOpenCv, readPages } from '../src/node/pages.js';
+
+// --- crop-this-label: the label cropper on the command line ---
+// Runs the same detection as the app over files and folders and writes the
+// cropped labels as PNGs and/or one PDF per input, plus a JSON report.
+// Packing slips found beside the labels are written the same way.
+
+const USAGE = `Usage: crop-this-label [options] <file|folder>...
+
+Crops shipping labels out of PDFs and images (${[...PDF_EXTENSIONS, ...IMAGE_EXTENSIONS, ...FRAME_EXTENSIONS].join(', ')}).
+
+Options:
+  -o, --out <dir>        Output folder (default: ./labels)
+  -f, --format <format>  png, pdf or both (default: png)
+  -s, --size <size>      Label stock: ${LABEL_SIZES.map(s => s.id).join(', ')} (default: ${DEFAULT_OUTPUT.sizeId})
+  -d, --dpi <dpi>        Output resolution: ${LABEL_DPI_OPTIONS.join(', ')} (default: ${DEFAULT_OUTPUT.dpi})
+      --fit <mode>       ${FIT_MODES.map(m => m.id).join(' or ')} (default: ${DEFAULT_OUTPUT.fit})
+      --slip-paper <id>  Packing slip paper: ${SLIP_PAPERS.map(p => p.id).join(' or ')} (default: ${SLIP_PAPERS[0].id})
+      --scale <scale>    PDF render scale, 5 is about 360 DPI (default: 5)
+      --password <pw>    Password for encrypted PDFs
+  -r, --report <file>    JSON report path (default: <out>/report.json)
+  -q, --quiet            Only print errors
+  -h, --help             Show this help
+`;
+
+const parseOptions = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'labels' },
+      format: { type: 'string', short: 'f', default: 'png' },
+      size: { type: 'string', short: 's', default: DEFAULT_OUTPUT.sizeId },
+      dpi: { type: 'string', short: 'd', default: String(DEFAULT_OUTPUT.dpi) },
+      fit: { type: 'string', default: DEFAULT_OUTPUT.fit },
+      'slip-paper': { type: 'string', default: SLIP_PAPERS[0].id },
+      scale: { type: 'string', default: '5' },
+      password: { type: 'string' },
+      report: { type: 'string', short: 'r' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+  if (!positionals.length) throw new Error("No input files or folders given.");
+  if (!['png', 'pdf', 'both'].includes(values.format)) throw new Error(`Unknown format "${values.format}".`);
+  if (!LABEL_SIZES.some(s => s.id === values.size)) throw new Error(`Unknown label size "${values.size}".`);
+  if (!FIT_MODES.some(m => m.id === values.fit)) throw new Error(`Unknown fit mode "${values.fit}".`);
+  if (!SLIP_PAPERS.some(p => p.id === values['slip-paper'])) throw new Error(`Unknown slip paper "${values['slip-paper']}".`);
+  const dpi = Number(values.dpi);
+  const scale = Number(values.scale);
+  if (!(dpi > 0)) throw new Error(`Invalid DPI "${values.dpi}".`);
+  if (!(scale > 0)) throw new Error(`Invalid scale "${values.scale}".`);
+
+  return {
+    inputs: positionals,
+    out: values.out,
+    png: values.format !== 'pdf',
+    pdf: values.format !== 'png',
+    size: getLabelSize(values.size),
+    dpi,
+    fit: values.fit,
+    slipPaper: getSlipPaper(values['slip-paper']),
+    scale,
+    password: values.password,
+    report: values.report || path.join(values.out, 'report.json'),
+    quiet: values.quiet
+  };
+};
+
+const encodePng = ({ data, width, height }) => {
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas.encode('png');
+};
+
+// Crops every page of one input. Returns its report entry.
+const processFile = async (cv, file, options, say) => {
+  const { width, height } = labelPixels(options.size, options.dpi);
+  const config = { ...DEFAULT_CONFIG, TARGET_WIDTH: width, TARGET_HEIGHT: height, FIT_MODE: options.fit };
+  const name = baseName(path.basename(file));
+  const isPdf = PDF_EXTENSIONS.includes(path.extname(file).toLowerCase());
+  const entry = { file, pages: [], outputs: [] };
+  const pdfLabels = [];
+  const pdfSlips = [];
+
+  try {
+    for await (const { page, pixels, info, error } of readPages(file, { scale: options.scale, password: options.password })) {
+      if (error) {
+        entry.pages.push({ page, error: error.message, labels: [], slips: [] });
+        console.error(`${file} p${page}: ${error.message}`);
+        continue;
+      }
+      const pageEntry = { page, width: pixels.width, height: pixels.height, template: null, labels: [], slips: [] };
+      entry.pages.push(pageEntry);
+      try {
+        const result = extractLabels(cv, pixels, config, { page: info });
+        pageEntry.template = result.template;
+        const multiple = result.labels.length > 1;
+
+        for (const [index, label] of result.labels.entries()) {
+          const png = await encodePng(label.pixels);
+          const labelEntry = {
+            label: index + 1,
+            rect: label.rect,
+            quad: label.quad && label.quad.points,
+            rotation: label.rotation,
+            confidence: Number(label.confidence.toFixed(3)),
+            output: null
+          };
+          pageEntry.labels.push(labelEntry);
+
+          if (options.png) {
+            const pngName = `${name}_p${page}${multiple ? `_${index + 1}` : ''}_${options.size.slug}.png`;
+            await writeFile(path.join(options.out, pngName), png);
+            labelEntry.output = pngName;
+          }
+          // Labels from a PDF keep their vectors unless they had to be warped straight
+          const placement = isPdf && pdfPlacement(label, info);
+          pdfLabels.push({ image: png, vector: placement ? { page, ...placement } : null });
+        }
+
+        for (const [index, slip] of result.slips.entries()) {
+          const png = await encodePng(slip.pixels);
+          const slipEntry = { slip: index + 1, rect: slip.rect, output: null };
+          pageEntry.slips.push(slipEntry);
+
+          if (options.png) {
+            const pngName = `${name}_p${page}${result.slips.length > 1 ? `_${index + 1}` : ''}_slip.png`;
+            await writeFile(path.join(options.out, pngName), png);
+            slipEntry.output = pngName;
+          }
+          const placement = isPdf && pdfPlacement(slip, info);
+          pdfSlips.push({ image: png, vector: placement ? { page, ...placement } : null });
+        }
+        const slipNote = result.slips.length ? `, ${result.slips.length} packing slip(s)` : '';
+        say(`${file} p${page}: ${result.labels.length} label(s)${slipNote}${result.template ? ` (${result.template} template)` : ''}`);
+      } catch (err) {
+        pageEntry.error = err.message;
+        console.error(`${file} p${page}: ${err.message}`);
+      }
+    }
+
+    const source = options.pdf && isPdf && (pdfLabels.length || pdfSlips.length)
+      ? new Blob([await readFile(file)], { type: 'application/pdf' })
+      : null;
+    const withSource = (items) => items.map(({ image, vector }) => ({ image, vector: vector && { ...vector, file: source } }));
+    if (options.pdf && pdfLabels.length) {
+      const { blob } = await createLabelPdf(withSource(pdfLabels), { width, height, dpi: options.dpi, fit: options.fit });
+      const pdfName = `${name}_${options.size.slug}.pdf`;
+      await writeFile(path.join(options.out, pdfName), Buffer.from(await blob.arrayBuffer()));
+      entry.outputs.push(pdfName);
+    }
+    if (options.pdf && pdfSlips.length) {
+      const { blob } = await createSlipPdf(withSource(pdfSlips), { paper: options.slipPaper });
+      const pdfName = `${name}_slips_${options.slipPaper.slug}.pdf`;
+      await writeFile(path.join(options.out, pdfName), Buffer.from(await blob.arrayBuffer()));
+      entry.outputs.push(pdfName);
+    }
+  } catch (err) {
+    entry.error = err.message;
+    console.error(`${file}: ${err.message}`);
+  }
+  return entry;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseOptions();
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const say = options.quiet ? () => {} : (message) => console.log(message);
+  const inputs = await listInputs(options.inputs);
+  await mkdir(options.out, { recursive: true });
+  const cv = await loadOpenCv();
+
+  const report = {
+    settings: { size: options.size.id, dpi: options.dpi, fit: options.fit, slipPaper: options.slipPaper.id, scale: options.scale },
+    files: []
+  };
+  for (const { file, error } of inputs) {
+    if (error) {
+      report.files.push({ file, pages: [], outputs: [], error: error.message });
+      console.error(`${file}: ${error.message}`);
+    } else {
+      report.files.push(await processFile(cv, file, options, say));
+    }
+  }
+
+  await mkdir(path.dirname(options.report), { recursive: true });
+  await writeFile(options.report, JSON.stringify(report, null, 2) + '\n');
+
+  const pages = report.files.flatMap(f => f.pages);
+  const labelCount = pages.reduce((sum, p) => sum + p.labels.length, 0);
+  const slipCount = pages.reduce((sum, p) => sum + p.slips.length, 0);
+  say(`${labelCount} label(s) and ${slipCount} packing slip(s) from ${inputs.length} file(s). Report: ${options.report}`);
+  const failed = report.files.some(f => f.error || f.pages.some(p => p.error));
+  return failed ? 1 : 0;
+};
+
+process.exitCode = await main();
@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['src/workers/**/*.js'],
+    languageOptions: {
+      globals: globals.worker,
+    },
+  },
+  {
+    files: ['bin/**/*.js', 'src/node/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -1,4 +1,23 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { baseName, createZip, downloadBlob, formatFileName, FILE_NAME_TOKENS } from './lib/files';
+import { createLabelPdf, createSheetPdf, createSlipPdf, pdfPlacement } from './lib/pdfExport';
+import { DEFAULT_PRINT_LAYOUT, SHEET_LAYOUTS, STOCK_LAYOUT_ID, getSheetLayout } from './lib/sheetLayouts';
+import {
+  DEFAULT_HISTORY_LIMIT, HISTORY_LIMITS, clearHistory, deleteHistoryEntry, listHistory, pruneHistory, saveHistoryEntry
+} from './lib/labelHistory';
+import { createZpl, ZPL_DPI_OPTIONS } from './lib/zpl';
+import {
+  DEFAULT_OUTPUT, FIT_MODES, LABEL_DPI_OPTIONS, LABEL_SIZES, SLIP_PAPERS, THERMAL_MODES, getLabelSize, getSlipPaper, labelPixels
+} from './lib/labelSizes';
+import { createPipeline, isCancelled } from './lib/pipelineClient';
+import { DEFAULT_CONFIG } from './lib/detection';
+import { ACCEPTED_FILES, INPUT_FORMATS, SUPPORTED_FORMATS_TEXT, detectFormat } from './lib/imageFormats';
+import { isPasswordError } from './lib/pdfDocument';
+import {
+  DETECTION_SETTINGS, activeProfile, builtInSettings, loadProfiles, sanitizeSettings, saveProfiles, settingLimits
+} from './lib/detectionProfiles';
+import CropEditor from './components/CropEditor';
+import DetectionOverlay from './components/DetectionOverlay';
 import { 
   Upload, 
   Download, 
@@ -14,67 +33,183 @@ import {
   Image as ImageIcon,
   ArrowRight,
   ShieldCheck,
-  Coffee
+  Coffee,
+  Layers,
+  FileArchive,
+  FileDown,
+  Copy,
+  Check,
+  X,
+  ScanBarcode,
+  ScanSearch,
+  Undo2,
+  Redo2,
+  ReceiptText,
+  LayoutGrid,
+  History,
+  Search,
+  Trash2,
+  SlidersHorizontal,
+  Plus,
+  Lock
 } from 'lucide-react';
 
+const FILE_NAME_PATTERN_KEY = 'cropThisLabel.fileNamePattern';
+const PRINT_LAYOUT_KEY = 'cropThisLabel.printLayout';
+const HISTORY_LIMIT_KEY = 'cropThisLabel.historyLimit';
+const DEFAULT_FILE_NAME_PATTERN = '{carrier}_{tracking}';
+const MAX_HISTORY = 100;
+
 function App() {
   const [status, setStatus] = useState('loading'); // loading, ready, processing, success, error
   const [logs, setLogs] = useState([]);
-  const [file, setFile] = useState(null);
-  const [originalImage, setOriginalImage] = useState(null);
-  const [processedImage, setProcessedImage] = useState(null);
+  // One entry per uploaded file: { id, file, name, status, stage, pageCount, pagesDone, labelCount, error }
+  const [queue, setQueue] = useState([]);
+  // One entry per detected label: { id, pageId, fileId, fileName, page, label, labelCount, source,
+  // sourceWidth, sourceHeight, rect, quad, turn, detectedRect, detectedQuad, image, original,
+  // tracking, rotation, pdfPage, detection, detectionConfig, status, error }
+  // `original` is the full-color label when `image` went through the thermal stage.
+  // `rect`, `quad` and `turn` (the user's extra clockwise turn) are the label's edits: the
+  // image is always rendered from `source` with them, never edited in place.
+  // `rotation` is the clockwise turn applied to the crop; `pdfPage` ({ width, height, text,
+  // words, transform, rotation }) is set for PDF input and lets the label be exported as
+  // vectors and detected again with the page's text. `detection` is what the detector saw
+  // on the page ({ contours, candidates }), shared by every label from it; `contours` is
+  // null until the detection view asks for them. `detectionConfig` is the config the
+  // page was detected with.
+  const [results, setResults] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  // Packing slips found beside the labels: { id, pageId, fileId, fileName, page, slip, rect,
+  // image, rotation, pdfPage }. They are plain crops of the page; `rotation` is always 0.
+  const [slips, setSlips] = useState([]);
+  const [slipPaperId, setSlipPaperId] = useState(SLIP_PAPERS[0].id);
+  const [dragActive, setDragActive] = useState(false);
+  const [zipping, setZipping] = useState(false);
+  const [exportingPdf, setExportingPdf] = useState(false);
+  const [zplDpi, setZplDpi] = useState(203);
+  const [zplMode, setZplMode] = useState('dither'); // dither, threshold
+  const [zplCopied, setZplCopied] = useState(false);
+  const [fileNamePattern, setFileNamePattern] = useState(
+    () => localStorage.getItem(FILE_NAME_PATTERN_KEY) || DEFAULT_FILE_NAME_PATTERN
+  );
+  // Print layout and printer calibration: { layoutId, margin, offsetX, offsetY, cutMarks }
+  const [printLayout, setPrintLayout] = useState(() => {
+    try {
+      return { ...DEFAULT_PRINT_LAYOUT, ...JSON.parse(localStorage.getItem(PRINT_LAYOUT_KEY)) };
+    } catch {
+      return DEFAULT_PRINT_LAYOUT;
+    }
+  });
+  // Labels from earlier sessions, newest first (see lib/labelHistory), and how many to keep
+  const [labelHistory, setLabelHistory] = useState([]);
+  const [historyLimit, setHistoryLimit] = useState(() => {
+    const stored = localStorage.getItem(HISTORY_LIMIT_KEY);
+    return stored !== null && HISTORY_LIMITS.includes(Number(stored)) ? Number(stored) : DEFAULT_HISTORY_LIMIT;
+  });
+  const [historySearch, setHistorySearch] = useState('');
+  // Detection tuning profiles (see lib/detectionProfiles) and whether the panel is open
+  const [detectionProfiles, setDetectionProfiles] = useState(loadProfiles);
+  const [showDetectionSettings, setShowDetectionSettings] = useState(false);
+  // Text typed into a settings field that isn't a valid value yet, by setting key
+  const [settingDrafts, setSettingDrafts] = useState({});
+  // Output stock: { sizeId, dpi, fit, thermal }
+  const [output, setOutput] = useState(DEFAULT_OUTPUT);
+  // Before/after split in the preview, as a percentage from the left
+  const [comparePosition, setComparePosition] = useState(50);
+  // Debug view of every contour and candidate in place of the crop editor
+  const [showDetection, setShowDetection] = useState(false);
+  // Undo/redo: { past, future } lists of { id, before, after }. `id` is a label and the
+  // states are its { rect, quad, turn }, or null for an output stock change.
+  const [history, setHistory] = useState({ past: [], future: [] });
   const [librariesLoaded, setLibrariesLoaded] = useState({ cv: false, pdf: false });
   const processedCanvasRef = useRef(null);
+  // Worker that runs PDF rendering and all OpenCV processing
+  const pipelineRef = useRef(null);
+  // Files waiting to be processed, drained one at a time by runQueue
+  const pendingFilesRef = useRef([]);
+  const queueRunningRef = useRef(false);
+  const nextFileIdRef = useRef(1);
+  const readyCountRef = useRef(0);
+  const cancelledFilesRef = useRef(new Set());
+  // Read when work is sent to the worker, so queued files use the latest settings
+  const outputRef = useRef(DEFAULT_OUTPUT);
+  const detectionSettingsRef = useRef(activeProfile(detectionProfiles).settings);
+  // Latest detection re-run, so an older one can't overwrite a newer result
+  const rerunTokenRef = useRef(0);
+  // Latest render request per label, so a slow render can't overwrite a newer edit
+  const renderTokensRef = useRef(new Map());
+  // History entry per label id: { id, createdAt, image } as last saved
+  const savedLabelsRef = useRef(new Map());
+
+  // The large previews always follow the selected page
+  const selected = results.find(r => r.id === selectedId) || null;
+  const originalImage = selected ? selected.source : null;
+  const processedImage = selected ? selected.image : null;
+  const canExport = selected?.status === 'success';
+  const completedResults = results.filter(r => r.status === 'success');
+  const activeFile = queue.find(q => q.status === 'processing') || null;
+  const finishedFiles = queue.filter(q => ['done', 'error', 'cancelled'].includes(q.status)).length;
+  // For the output panel when nothing could be processed: a PDF waiting for its
+  // password, or the last PDF that failed to open
+  const lockedFile = queue.find(q => q.status === 'locked');
+  const unopenedFile = queue.findLast(q => q.status === 'error' && q.errorCode);
+  const analyzing = selected?.status === 'pending' || selected?.status === 'processing';
+  const canEditCrop = canExport && Boolean(selected.rect);
+  const labelEdited = canEditCrop && (
+    JSON.stringify(selected.rect) !== JSON.stringify(selected.detectedRect) ||
+    selected.quad !== selected.detectedQuad ||
+    selected.turn !== 0
+  );
+  // Outlines of the other labels cut from the same page
+  const siblingRects = canEditCrop
+    ? results.filter(r => r.source === selected.source && r.id !== selected.id && r.rect).map(r => r.rect)
+    : [];
 
-  // Configuration
-  const CONFIG = {
-    // Increased Resolution for Crisper Prints
-    TARGET_WIDTH: 1600, // ~400 DPI for 4"
-    TARGET_HEIGHT: 2400, // ~400 DPI for 6"
-    // Relaxed filters for better local detection
-    MIN_AREA_RATIO: 0.01, // 1%
-    MAX_AREA_RATIO: 0.99  // 99%
+  const labelSize = getLabelSize(output.sizeId);
+
+  // Detection settings plus the output stock, as sent to the worker
+  const pipelineConfig = () => {
+    const { sizeId, dpi, fit, thermal } = outputRef.current;
+    const { width, height } = labelPixels(getLabelSize(sizeId), dpi);
+    return {
+      ...DEFAULT_CONFIG,
+      ...detectionSettingsRef.current,
+      TARGET_WIDTH: width,
+      TARGET_HEIGHT: height,
+      FIT_MODE: fit,
+      THERMAL_MODE: thermal
+    };
   };
 
-  // --- 1. Load External Libraries (OpenCV.js & PDF.js) ---
+  // --- 1. Start the Processing Worker (loads OpenCV.js & PDF.js) ---
   useEffect(() => {
     document.title = "Crop This Label";
 
-    const loadLibraries = async () => {
-      addLog("Initializing environment...");
-
-      // Load PDF.js
-      if (!window.pdfjsLib) {
-        const pdfScript = document.createElement('script');
-        pdfScript.src = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
-        pdfScript.onload = () => {
-          window.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-          setLibrariesLoaded(prev => ({ ...prev, pdf: true }));
-          addLog("PDF Engine loaded.");
-        };
-        document.body.appendChild(pdfScript);
-      } else {
-        setLibrariesLoaded(prev => ({ ...prev, pdf: true }));
+    let disposed = false;
+    const pipeline = createPipeline({
+      onLog: (msg) => addLog(msg),
+      onEngineLoaded: (engine) => setLibrariesLoaded(prev => ({ ...prev, [engine]: true })),
+      onProgress: ({ jobId, page, stage, source }) => {
+        setQueue(prev => prev.map(q => (q.id === jobId ? { ...q, stage } : q)));
+        if (source) {
+          const pageId = `${jobId}-page-${page}`;
+          setResults(prev => prev.map(r => (r.id === pageId ? { ...r, source } : r)));
+        }
       }
+    });
+    pipelineRef.current = pipeline;
 
-      // Load OpenCV.js
-      if (!window.cv) {
-        const cvScript = document.createElement('script');
-        cvScript.src = 'https://docs.opencv.org/4.8.0/opencv.js';
-        cvScript.async = true;
-        cvScript.onload = () => {
-          cv.onRuntimeInitialized = () => {
-            setLibrariesLoaded(prev => ({ ...prev, cv: true }));
-            addLog("OpenCV Engine loaded.");
-          };
-        };
-        document.body.appendChild(cvScript);
-      } else {
-        setLibrariesLoaded(prev => ({ ...prev, cv: true }));
-      }
-    };
+    pipeline.call('init').catch(err => {
+      if (disposed) return;
+      console.error(err);
+      setStatus('error');
+      addLog(`Error: Could not load processing engines (${err.message})`);
+    });
 
-    loadLibraries();
+    return () => {
+      disposed = true;
+      pipeline.terminate();
+    };
   }, []);
 
   useEffect(() => {
@@ -84,122 +219,645 @@ function App() {
     }
   }, [librariesLoaded]);
 
+  useEffect(() => {
+    localStorage.setItem(FILE_NAME_PATTERN_KEY, fileNamePattern);
+  }, [fileNamePattern]);
+
+  useEffect(() => {
+    localStorage.setItem(PRINT_LAYOUT_KEY, JSON.stringify(printLayout));
+  }, [printLayout]);
+
+  useEffect(() => {
+    localStorage.setItem(HISTORY_LIMIT_KEY, String(historyLimit));
+  }, [historyLimit]);
+
+  useEffect(() => {
+    listHistory()
+      .then(setLabelHistory)
+      .catch(err => console.warn('Label history unavailable:', err));
+  }, []);
+
+  // Saves every finished label to the history, and saves it again whenever an
+  // edit or a stock change renders a new image
+  const syncHistory = useEffectEvent(() => {
+    if (!historyLimit) return;
+    for (const result of results) {
+      if (result.status !== 'success' || !result.image) continue;
+      const saved = savedLabelsRef.current.get(result.id);
+      if (saved?.image === result.image) continue;
+
+      const { sizeId, dpi, fit, thermal } = outputRef.current;
+      const entry = {
+        id: saved?.id ?? `${Date.now()}-${result.id}`,
+        createdAt: saved?.createdAt ?? Date.now(),
+        fileName: result.fileName,
+        page: result.page,
+        label: result.label,
+        labelCount: result.labelCount,
+        rect: result.rect,
+        quad: result.quad,
+        rotation: result.rotation,
+        tracking: result.tracking,
+        sizeId,
+        dpi,
+        fit,
+        thermal,
+        image: result.image
+      };
+      savedLabelsRef.current.set(result.id, { id: entry.id, createdAt: entry.createdAt, image: entry.image });
+      setLabelHistory(prev => (prev.some(e => e.id === entry.id)
+        ? prev.map(e => (e.id === entry.id ? entry : e))
+        : [entry, ...prev].slice(0, historyLimit)));
+      saveHistoryEntry(entry, historyLimit).catch(err => console.warn('Could not save label history:', err));
+    }
+  });
+
+  useEffect(() => {
+    syncHistory();
+  }, [results]);
+
   // --- 2. Helper Functions ---
   const addLog = (msg) => {
     setLogs(prev => [...prev, `[${new Date().toLocaleTimeString()}] ${msg}`]);
   };
 
+  const loadImage = (src) => {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("Could not decode image."));
+      img.src = src;
+    });
+  };
+
+  const updateQueueItem = (id, patch) => {
+    setQueue(prev => prev.map(q => (q.id === id ? { ...q, ...patch } : q)));
+  };
+
+  const updateResult = (id, patch) => {
+    setResults(prev => prev.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  };
+
+  // Replaces a page placeholder with the labels found on that page.
+  // buildEntries receives the placeholder, which holds the page preview.
+  const replaceResult = (id, buildEntries) => {
+    setResults(prev => prev.flatMap(r => (r.id === id ? buildEntries(r) : [r])));
+    setSelectedId(prev => (prev === id ? `${id}-1` : prev));
+  };
+
+  // Result entries for what processPage or detect found on a page. `page` is
+  // the page's placeholder or any label from it.
+  const labelEntries = (page, { width, height, labels, pdfPage = page.pdfPage, debug }, config) => (
+    labels.map(({ rect, quad, image, original, tracking, rotation }, k) => ({
+      id: `${page.pageId}-${k + 1}`,
+      pageId: page.pageId,
+      fileId: page.fileId,
+      fileName: page.fileName,
+      page: page.page,
+      label: k + 1,
+      labelCount: labels.length,
+      source: page.source,
+      sourceWidth: width,
+      sourceHeight: height,
+      rect,
+      quad,
+      turn: 0,
+      detectedRect: rect,
+      detectedQuad: quad,
+      image,
+      original,
+      tracking,
+      rotation,
+      pdfPage,
+      detection: debug,
+      detectionConfig: config,
+      status: 'success',
+      error: null
+    }))
+  );
+
+  const slipEntries = (page, { slips: found, pdfPage = page.pdfPage }) => found.map(({ rect, image }, k) => ({
+    id: `${page.pageId}-slip-${k + 1}`,
+    pageId: page.pageId,
+    fileId: page.fileId,
+    fileName: page.fileName,
+    page: page.page,
+    slip: k + 1,
+    rect,
+    image,
+    rotation: 0,
+    pdfPage
+  }));
+
+  const resultTitle = (result) => {
+    return result.labelCount > 1
+      ? `Page ${result.page} · Label ${result.label}`
+      : `Page ${result.page}`;
+  };
+
+  // Name from the user's pattern, or null when the label has no tracking number.
+  // `stock` is the output settings the label was rendered with.
+  const patternFileName = (result, stock = output) => {
+    if (!result.tracking) return null;
+    return formatFileName(fileNamePattern, {
+      tracking: result.tracking.trackingNumber,
+      carrier: result.tracking.carrier,
+      file: baseName(result.fileName),
+      page: result.page,
+      label: result.label,
+      size: getLabelSize(stock.sizeId).slug,
+      dpi: stock.dpi,
+      date: new Date().toISOString().slice(0, 10)
+    }) || null;
+  };
+
+  const labelFileName = (result, ext = 'png', stock = output) => {
+    const named = patternFileName(result, stock);
+    if (named) return `${named}.${ext}`;
+
+    let suffix = results.length > 1 ? `_p${result.page}` : '';
+    if (result.labelCount > 1) suffix += `_${result.label}`;
+    return `label_${getLabelSize(stock.sizeId).slug}_${stock.dpi}dpi_${Date.now()}${suffix}.${ext}`;
+  };
+
+  // ZIP entries without a tracking number are named after their source file
+  // so batches stay traceable
+  const zipEntryName = (result) => {
+    const named = patternFileName(result);
+    if (named) return `${named}.png`;
+
+    let name = `${baseName(result.fileName)}_p${result.page}`;
+    if (result.labelCount > 1) name += `_${result.label}`;
+    return `${name}_${labelSize.slug}.png`;
+  };
+
   const reset = () => {
-    setFile(null);
-    setOriginalImage(null);
-    setProcessedImage(null);
+    pendingFilesRef.current = [];
+    readyCountRef.current = 0;
+    setQueue([]);
+    setResults([]);
+    setSlips([]);
+    savedLabelsRef.current.clear();
+    setSelectedId(null);
+    setHistory({ past: [], future: [] });
     setStatus('ready');
     setLogs([]);
     addLog("Ready for new file.");
   };
 
   // --- 3. File Handling ---
-  const handleFileUpload = async (e) => {
-    const uploadedFile = e.target.files[0];
-    if (!uploadedFile) return;
+  const handleFileUpload = (e) => {
+    enqueueFiles(Array.from(e.target.files));
+    // Allow selecting the same file again later
+    e.target.value = '';
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (status !== 'loading') setDragActive(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (status === 'loading') return;
+    enqueueFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const enqueueFiles = (files) => {
+    if (!files.length) return;
+
+    const items = files.map(f => ({
+      id: `file-${nextFileIdRef.current++}`,
+      file: f,
+      name: f.name,
+      status: 'queued',
+      pageCount: 0,
+      pagesDone: 0,
+      labelCount: 0,
+      error: null
+    }));
+    setQueue(prev => [...prev, ...items]);
+    pendingFilesRef.current.push(...items);
+    addLog(`Queued ${items.length} file(s).`);
+    runQueue();
+  };
 
-    reset();
-    setFile(uploadedFile);
+  const runQueue = async () => {
+    if (queueRunningRef.current) return;
+    queueRunningRef.current = true;
     setStatus('processing');
+
+    while (pendingFilesRef.current.length > 0) {
+      const item = pendingFilesRef.current.shift();
+      readyCountRef.current += await processFile(item);
+    }
+
+    queueRunningRef.current = false;
+    setStatus(readyCountRef.current > 0 ? 'success' : 'error');
+    addLog(`Queue finished. ${readyCountRef.current} label(s) ready.`);
+  };
+
+  const handleCancelFile = (id) => {
+    const item = queue.find(q => q.id === id);
+    if (!item) return;
+
+    if (item.status === 'queued' || item.status === 'locked') {
+      pendingFilesRef.current = pendingFilesRef.current.filter(q => q.id !== id);
+      updateQueueItem(id, { status: 'cancelled' });
+    } else if (item.status === 'processing') {
+      cancelledFilesRef.current.add(id);
+      pipelineRef.current.cancel(id);
+    }
+    addLog(`Cancelled: ${item.name}`);
+  };
+
+  // Puts a password-protected PDF back in the queue with the password typed
+  // for it. The password only lives in the queue entry until the file opens.
+  const handleUnlockFile = (id, password) => {
+    const item = queue.find(q => q.id === id);
+    if (!item || !password) return;
+    updateQueueItem(id, { status: 'queued', error: null });
+    pendingFilesRef.current.push({ ...item, password });
+    runQueue();
+  };
+
+  // Returns the number of labels extracted from the file
+  const processFile = async (item) => {
+    const uploadedFile = item.file;
+    const pipeline = pipelineRef.current;
+    const wasCancelled = () => cancelledFilesRef.current.has(item.id);
+    updateQueueItem(item.id, { status: 'processing' });
     addLog(`Processing file: ${uploadedFile.name}`);
 
+    let succeeded = 0;
+    let slipCount = 0;
     try {
-      let imageSrc = null;
-
-      if (uploadedFile.type === 'application/pdf') {
-        addLog("Detected PDF. Converting to image (High Res)...");
-        imageSrc = await convertPdfToImage(uploadedFile);
-      } else if (uploadedFile.type.startsWith('image/')) {
-        addLog("Detected Image. Loading...");
-        imageSrc = await readFileAsDataURL(uploadedFile);
+      const format = await detectFormat(uploadedFile);
+      if (!format) {
+        throw new Error(`Unsupported file type. Supported formats: ${SUPPORTED_FORMATS_TEXT}.`);
+      }
+      if (format === 'pdf') {
+        addLog("Detected PDF. Converting pages to images (High Res)...");
       } else {
-        throw new Error("Unsupported file type. Please upload PDF, PNG, or JPG.");
+        addLog(`Detected ${INPUT_FORMATS.find(f => f.id === format).name} image. Loading...`);
       }
 
-      setOriginalImage(imageSrc);
-      // Small delay to ensure UI updates before heavy processing freezes thread
-      setTimeout(() => processImage(imageSrc), 100);
+      const { pageCount, repaired } = await pipeline.call('openDocument', {
+        jobId: item.id,
+        file: uploadedFile,
+        format,
+        password: item.password
+      });
+      if (repaired) addLog(`${uploadedFile.name} was damaged and has been repaired. Check its labels before printing.`);
+
+      const pageId = (n) => `${item.id}-page-${n}`;
+      updateQueueItem(item.id, { pageCount, repaired: Boolean(repaired) });
+      setResults(prev => [...prev, ...Array.from({ length: pageCount }, (_, i) => ({
+        id: pageId(i + 1),
+        pageId: pageId(i + 1),
+        fileId: item.id,
+        fileName: item.name,
+        page: i + 1,
+        label: 1,
+        labelCount: 1,
+        source: null,
+        image: null,
+        status: 'pending',
+        error: null
+      }))]);
+      setSelectedId(prev => prev ?? pageId(1));
+
+      // Pages are rendered and processed one at a time to keep memory bounded
+      for (let i = 0; i < pageCount && !wasCancelled(); i++) {
+        const id = pageId(i + 1);
+        updateResult(id, { status: 'processing' });
+        try {
+          if (pageCount > 1) addLog(`Analyzing page ${i + 1} of ${pageCount}...`);
+          const config = pipelineConfig();
+          const found = await pipeline.call('processPage', { jobId: item.id, page: i + 1, config });
+          replaceResult(id, (placeholder) => labelEntries(placeholder, found, config));
+          succeeded += found.labels.length;
+          setSlips(prev => [...prev, ...slipEntries({ pageId: id, fileId: item.id, fileName: item.name, page: i + 1 }, found)]);
+          slipCount += found.slips.length;
+        } catch (err) {
+          if (isCancelled(err)) break;
+          console.error(err);
+          updateResult(id, { status: 'error', error: err.message });
+          addLog(`Page ${i + 1} failed: ${err.message}`);
+        }
+        updateQueueItem(item.id, { pagesDone: i + 1 });
+      }
+
+      if (wasCancelled()) {
+        // Keep the labels that were finished, drop the pages still waiting
+        setResults(prev => prev.filter(r => r.fileId !== item.id || r.status === 'success' || r.status === 'error'));
+        updateQueueItem(item.id, { status: 'cancelled', labelCount: succeeded });
+        return succeeded;
+      }
+
+      if (succeeded === 0 && slipCount === 0) {
+        throw new Error("No shipping label detected.");
+      }
+
+      updateQueueItem(item.id, { status: 'done', labelCount: succeeded });
+      const slipNote = slipCount ? ` and ${slipCount} packing slip(s)` : '';
+      addLog(`${uploadedFile.name}: ${succeeded} label(s)${slipNote} ready from ${pageCount} page(s).`);
+      return succeeded;
 
     } catch (err) {
+      if (isPasswordError(err)) {
+        // Waits in the queue for the password; the rest of the queue carries on
+        updateQueueItem(item.id, { status: 'locked', error: err.message });
+        addLog(`${uploadedFile.name}: ${err.message}`);
+        return succeeded;
+      }
       console.error(err);
-      setStatus('error');
+      updateQueueItem(item.id, { status: 'error', error: err.message, errorCode: err.code ?? null });
       addLog(`Error: ${err.message}`);
+      return succeeded;
+    } finally {
+      cancelledFilesRef.current.delete(item.id);
+      pipeline.call('closeDocument', { jobId: item.id }).catch(() => {});
     }
   };
 
-  const readFileAsDataURL = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
+  const handleDownloadZip = async () => {
+    if (!completedResults.length) return;
+
+    setZipping(true);
+    try {
+      const blob = await createZip(completedResults.map(r => ({ name: zipEntryName(r), dataUrl: r.image })));
+      downloadBlob(blob, `labels_${Date.now()}.zip`);
+      addLog(`ZIP created with ${completedResults.length} label(s).`);
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not create ZIP (${err.message})`);
+    } finally {
+      setZipping(false);
+    }
   };
 
-  const convertPdfToImage = async (file) => {
-    const arrayBuffer = await file.arrayBuffer();
-    const pdf = await window.pdfjsLib.getDocument(arrayBuffer).promise;
-    addLog(`PDF Loaded. Pages: ${pdf.numPages}. Analyzing Page 1...`);
-    
-    // Render page 1
-    const page = await pdf.getPage(1);
-    
-    // Scale 5.0 ≈ 360 DPI (High quality for crisp text)
-    const viewport = page.getViewport({ scale: 5.0 }); 
-    
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.height = viewport.height;
-    canvas.width = viewport.width;
-
-    // Fill background with white to handle PDF transparency
-    context.fillStyle = 'white';
-    context.fillRect(0, 0, canvas.width, canvas.height);
-
-    await page.render({ canvasContext: context, viewport: viewport }).promise;
-    return canvas.toDataURL('image/png');
-  };
-
-  const handleRotate = async (direction) => {
-    if (!processedImage) return;
-    
-    const oldStatus = status;
-    setStatus('processing');
+  // --- 4. Edits & History ---
+  const editOf = (result) => ({ rect: result.rect, quad: result.quad, turn: result.turn });
 
-    // Use timeout to allow UI to show processing state
-    setTimeout(() => {
-      const img = new Image();
-      img.onload = () => {
-        const cv = window.cv;
-        let src = cv.imread(img);
-        let dst = new cv.Mat();
-        
-        // Note: OpenCV rotate codes
-        // ROTATE_90_CLOCKWISE = 0
-        // ROTATE_180 = 1
-        // ROTATE_90_COUNTERCLOCKWISE = 2
-        let rotateCode = direction === 'left' ? cv.ROTATE_90_COUNTERCLOCKWISE : cv.ROTATE_90_CLOCKWISE;
-        
-        cv.rotate(src, dst, rotateCode);
-        
-        cv.imshow(processedCanvasRef.current, dst);
-        setProcessedImage(processedCanvasRef.current.toDataURL('image/png'));
-        
-        src.delete();
-        dst.delete();
-        setStatus(oldStatus);
-      };
-      img.src = processedImage;
-    }, 50);
+  const nextRenderToken = (id) => {
+    const token = (renderTokensRef.current.get(id) || 0) + 1;
+    renderTokensRef.current.set(id, token);
+    return token;
+  };
+
+  // Renders a label from its source page with the given edits
+  const renderLabel = async (result, edit) => {
+    const token = nextRenderToken(result.id);
+    updateResult(result.id, edit);
+    try {
+      const { image, original, tracking, rotation } = await pipelineRef.current.call('crop', {
+        source: result.source,
+        ...edit,
+        config: pipelineConfig()
+      });
+      if (renderTokensRef.current.get(result.id) === token) updateResult(result.id, { image, original, tracking, rotation });
+      return true;
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not render ${resultTitle(result).toLowerCase()} (${err.message})`);
+      return false;
+    }
+  };
+
+  const recordEdit = (entry) => {
+    setHistory(prev => ({ past: [...prev.past, entry].slice(-MAX_HISTORY), future: [] }));
+  };
+
+  // Applies a change to a label's edits and records it for undo
+  const editLabel = async (id, changes) => {
+    const result = results.find(r => r.id === id);
+    if (!result || result.status !== 'success') return false;
+
+    const before = editOf(result);
+    const after = { ...before, ...changes };
+    recordEdit({ id, before, after });
+    return renderLabel(result, after);
+  };
+
+  // Manual crop override: a hand-drawn rectangle replaces any detected corners
+  const handleCropChange = async (id, rect, quad = null) => {
+    if (await editLabel(id, { rect, quad })) {
+      addLog(`Manual crop applied: ${rect.width}x${rect.height} at (${rect.x}, ${rect.y}).`);
+    }
+  };
+
+  const handleRotate = (id, direction) => {
+    const result = results.find(r => r.id === id);
+    if (!result) return;
+    editLabel(id, { turn: (result.turn + (direction === 'left' ? 270 : 90)) % 360 });
+  };
+
+  // Back to the detector's crop and orientation, without uploading the file again
+  const handleRevert = async (id) => {
+    const result = results.find(r => r.id === id);
+    if (!result) return;
+    if (await editLabel(id, { rect: result.detectedRect, quad: result.detectedQuad, turn: 0 })) {
+      addLog(`${resultTitle(result)} reverted to the auto-detected crop.`);
+    }
   };
 
-  const handlePrint = () => {
-    if (!processedImage) return;
+  const applyHistoryState = (entry, state) => {
+    if (entry.id === null) {
+      applyOutput(state);
+      return;
+    }
+    const result = results.find(r => r.id === entry.id);
+    if (!result) return;
+    setSelectedId(entry.id);
+    renderLabel(result, state);
+  };
+
+  const handleUndo = () => {
+    const entry = history.past.at(-1);
+    if (!entry) return;
+    setHistory(prev => ({ past: prev.past.slice(0, -1), future: [entry, ...prev.future] }));
+    applyHistoryState(entry, entry.before);
+  };
+
+  const handleRedo = () => {
+    const entry = history.future[0];
+    if (!entry) return;
+    setHistory(prev => ({ past: [...prev.past, entry], future: prev.future.slice(1) }));
+    applyHistoryState(entry, entry.after);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing in a field
+  const handleHistoryKey = useEffectEvent((e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    }
+  });
+
+  useEffect(() => {
+    window.addEventListener('keydown', handleHistoryKey);
+    return () => window.removeEventListener('keydown', handleHistoryKey);
+  }, []);
+
+  // Changing the stock re-renders every finished label from its source page
+  const handleOutputChange = (changes) => {
+    const before = outputRef.current;
+    const after = { ...before, ...changes };
+    recordEdit({ id: null, before, after });
+    applyOutput(after);
+  };
+
+  const applyOutput = async (next) => {
+    outputRef.current = next;
+    setOutput(next);
+
+    const targets = results.filter(r => r.image && r.source);
+    if (!targets.length) return;
+    addLog(`Re-rendering ${targets.length} label(s) for ${getLabelSize(next.sizeId).name} at ${next.dpi} dpi...`);
+
+    for (const result of targets) {
+      // A newer change takes over from here
+      if (outputRef.current !== next) return;
+      const token = nextRenderToken(result.id);
+      updateResult(result.id, { status: 'processing' });
+      try {
+        const { image, original, tracking, rotation } = await pipelineRef.current.call('crop', {
+          source: result.source,
+          ...editOf(result),
+          config: pipelineConfig()
+        });
+        if (outputRef.current === next && renderTokensRef.current.get(result.id) === token) {
+          updateResult(result.id, { image, original, tracking, rotation, status: 'success' });
+        } else {
+          updateResult(result.id, { status: 'success' });
+        }
+      } catch (err) {
+        console.error(err);
+        updateResult(result.id, { status: 'success' });
+        addLog(`Error: Could not re-render ${resultTitle(result).toLowerCase()} (${err.message})`);
+      }
+    }
+  };
+
+  // --- 5. Export ---
+  // Where a label or packing slip sits in its original PDF page, for vector export
+  const vectorSource = (result) => {
+    const file = result.pdfPage && queue.find(q => q.id === result.fileId)?.file;
+    const placement = file && pdfPlacement(result, result.pdfPage);
+    return placement ? { file, page: result.page, ...placement } : null;
+  };
+
+  // Exports one or more labels as a PDF at their physical size, one label per page.
+  // Labels from PDFs keep their original vector text and barcodes. `stock` is
+  // the output settings the labels were rendered with.
+  const handleDownloadPdf = async (targets, stock = output) => {
+    if (!targets.length) return;
+
+    setExportingPdf(true);
+    try {
+      const size = getLabelSize(stock.sizeId);
+      const { blob, vectorCount } = await createLabelPdf(targets.map(r => ({ image: r.image, vector: vectorSource(r) })), {
+        ...labelPixels(size, stock.dpi),
+        dpi: stock.dpi,
+        fit: stock.fit
+      });
+      const fileName = targets.length === 1
+        ? labelFileName(targets[0], 'pdf', stock)
+        : `labels_${size.slug}_${Date.now()}.pdf`;
+      downloadBlob(blob, fileName);
+      addLog(`PDF created with ${targets.length} page(s), ${vectorCount} copied as vectors.`);
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not create PDF (${err.message})`);
+    } finally {
+      setExportingPdf(false);
+    }
+  };
+
+  // Exports packing slips on half-page paper, one slip per sheet
+  const handleDownloadSlips = async (targets) => {
+    if (!targets.length) return;
+
+    setExportingPdf(true);
+    try {
+      const paper = getSlipPaper(slipPaperId);
+      const { blob, vectorCount } = await createSlipPdf(targets.map(s => ({ image: s.image, vector: vectorSource(s) })), { paper });
+      const fileName = targets.length === 1
+        ? `${baseName(targets[0].fileName)}_p${targets[0].page}_slip_${paper.slug}.pdf`
+        : `packing_slips_${paper.slug}_${Date.now()}.pdf`;
+      downloadBlob(blob, fileName);
+      addLog(`Packing slip PDF created with ${targets.length} page(s), ${vectorCount} copied as vectors.`);
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not create packing slip PDF (${err.message})`);
+    } finally {
+      setExportingPdf(false);
+    }
+  };
+
+  // Converts the selected label into a ZPL ^GFA graphic at the printer's resolution
+  const buildZpl = async () => {
+    const img = await loadImage(processedImage);
+
+    // Same pixels as the PNG export
+    const canvas = processedCanvasRef.current;
+    canvas.width = img.width;
+    canvas.height = img.height;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+
+    // Scale to printer dots while keeping the physical label size
+    const dots = document.createElement('canvas');
+    dots.width = Math.round((img.width / output.dpi) * zplDpi);
+    dots.height = Math.round((img.height / output.dpi) * zplDpi);
+    const ctx = dots.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, dots.width, dots.height);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(canvas, 0, 0, dots.width, dots.height);
+
+    return createZpl(ctx.getImageData(0, 0, dots.width, dots.height), { mode: zplMode });
+  };
+
+  const handleZplExport = async (action) => {
+    if (!canExport) return;
+
+    try {
+      const zpl = await buildZpl();
+      if (action === 'copy') {
+        await navigator.clipboard.writeText(zpl);
+        setZplCopied(true);
+        setTimeout(() => setZplCopied(false), 2000);
+        addLog(`ZPL copied to clipboard (${zplDpi} dpi).`);
+      } else {
+        downloadBlob(new Blob([zpl], { type: 'text/plain' }), labelFileName(selected, 'zpl'));
+        addLog(`ZPL file created (${zplDpi} dpi).`);
+      }
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not create ZPL (${err.message})`);
+    }
+  };
+
+  // Prints one or more labels: one label per page on label stock, or tiled
+  // onto sheets when a sheet layout is chosen
+  const handlePrint = (targets, stock = output) => {
+    if (!targets.length) return;
+    const sheet = getSheetLayout(printLayout.layoutId);
+    if (sheet) {
+      printSheets(targets, sheet, stock);
+      return;
+    }
+    const images = targets.map(r => r.image);
+    const size = getLabelSize(stock.sizeId);
+    const [pageWidth, pageHeight] = size.css.split(' ');
 
     const printWindow = window.open('', '_blank');
     if (!printWindow) {
@@ -207,7 +865,7 @@ function App() {
       const confirmPrint = window.confirm("Pop-up blocked. Open print view in current tab?");
       if(confirmPrint) {
          // This replaces current window content which is destructive but a fallback
-         document.write(`<img src="${processedImage}" onload="window.print();" style="width:100%"/>`);
+         document.write(images.map(src => `<img src="${src}" style="width:100%"/>`).join('') + `<script>window.onload = () => window.print();</script>`);
       }
       return;
     }
@@ -218,146 +876,219 @@ function App() {
           <title>Print Label</title>
           <style>
             @media print {
-              @page { size: 4in 6in; margin: 0; }
-              body { margin: 0; padding: 0; }
-              img { width: 100%; height: 100%; object-fit: contain; display: block; }
+              @page { size: ${size.css}; margin: 0; }
+              body { margin: 0; padding: 0; display: block; height: auto; }
+              img { width: ${pageWidth}; height: ${pageHeight}; max-width: none; object-fit: contain; display: block; box-shadow: none; break-after: page; }
+              img:last-child { break-after: auto; }
             }
-            body { margin: 0; padding: 0; display: flex; justify-content: center; align-items: center; height: 100vh; background: #f0f0f0; }
+            body { margin: 0; padding: 20px 0; display: flex; flex-direction: column; gap: 20px; align-items: center; min-height: 100vh; box-sizing: border-box; background: #f0f0f0; }
             img { max-width: 100%; height: auto; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
           </style>
         </head>
         <body>
-          <img src="${processedImage}" onload="setTimeout(() => { window.print(); window.close(); }, 500);" />
+          ${images.map(src => `<img src="${src}" />`).join('')}
+          <script>window.onload = () => setTimeout(() => { window.print(); window.close(); }, 500);</script>
         </body>
       </html>
     `);
     printWindow.document.close();
   };
 
-  // --- 4. The Core Logic (Ported from Python) ---
-  const processImage = async (imageSrc) => {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.crossOrigin = "Anonymous"; 
-      img.onload = () => {
-        try {
-          addLog("Starting Computer Vision analysis...");
-          const cv = window.cv;
-          
-          // --- ROBUSTNESS FIX: Use matFromImageData ---
-          const tempCanvas = document.createElement('canvas');
-          tempCanvas.width = img.width;
-          tempCanvas.height = img.height;
-          const ctx = tempCanvas.getContext('2d');
-          
-          // Force white background again (double safety)
-          ctx.fillStyle = 'white';
-          ctx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-          ctx.drawImage(img, 0, 0);
-
-          // Get raw pixel data
-          const imageData = ctx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-          let src = cv.matFromImageData(imageData);
-          
-          let dst = new cv.Mat();
-          let gray = new cv.Mat();
-          let blur = new cv.Mat();
-          let thresh = new cv.Mat();
-          let ksize = new cv.Size(5, 5);
+  // Builds the sheets as a PDF and opens it for printing. The window is opened
+  // before the PDF is built so the pop-up blocker still sees the click.
+  const printSheets = async (targets, sheet, stock) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      addLog("Error: Pop-up blocked. Allow pop-ups to print sheets.");
+      return;
+    }
+    printWindow.document.write('<p style="font-family: sans-serif">Preparing sheets...</p>');
 
-          cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
-          cv.GaussianBlur(gray, blur, ksize, 0, 0, cv.BORDER_DEFAULT);
-          cv.threshold(blur, thresh, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+    try {
+      const { blob, sheetCount, scale } = await createSheetPdf(targets.map(r => ({ image: r.image, vector: vectorSource(r) })), {
+        layout: sheet,
+        ...labelPixels(getLabelSize(stock.sizeId), stock.dpi),
+        dpi: stock.dpi,
+        fit: stock.fit,
+        calibration: printLayout
+      });
+      const url = URL.createObjectURL(blob);
+      printWindow.location.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+      const scaleNote = scale < 1 ? `, scaled to ${Math.round(scale * 100)}% to fit` : '';
+      addLog(`Print sheets ready: ${targets.length} label(s) on ${sheetCount} sheet(s)${scaleNote}. Print at 100% (actual size).`);
+    } catch (err) {
+      console.error(err);
+      printWindow.close();
+      addLog(`Error: Could not build print sheets (${err.message})`);
+    }
+  };
 
-          let kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(25, 25));
-          cv.dilate(thresh, dst, kernel);
+  const updatePrintLayout = (changes) => setPrintLayout(prev => ({ ...prev, ...changes }));
 
-          let contours = new cv.MatVector();
-          let hierarchy = new cv.Mat();
-          
-          // RETR_LIST finds everything (including inside borders)
-          cv.findContours(dst, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+  // --- 6. Label History ---
+  // Settings an entry was rendered with, for reprinting it at the same size
+  const historyStock = (entry) => ({ sizeId: entry.sizeId, dpi: entry.dpi, fit: entry.fit });
 
-          addLog(`Found ${contours.size()} potential contours.`);
+  const handleHistoryLimitChange = async (limit) => {
+    setHistoryLimit(limit);
+    setLabelHistory(prev => prev.slice(0, limit));
+    try {
+      await pruneHistory(limit);
+      if (!limit) addLog("Label history turned off and cleared.");
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not update label history (${err.message})`);
+    }
+  };
 
-          let candidates = [];
-          const totalArea = src.cols * src.rows;
+  const handleDeleteHistory = async (id) => {
+    setLabelHistory(prev => prev.filter(e => e.id !== id));
+    try {
+      await deleteHistoryEntry(id);
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not delete history entry (${err.message})`);
+    }
+  };
 
-          for (let i = 0; i < contours.size(); ++i) {
-            let c = contours.get(i);
-            let rect = cv.boundingRect(c);
-            let area = rect.width * rect.height;
+  const handleClearHistory = async () => {
+    if (!window.confirm("Delete every label in the history? This can't be undone.")) return;
+    setLabelHistory([]);
+    try {
+      await clearHistory();
+      addLog("Label history cleared.");
+    } catch (err) {
+      console.error(err);
+      addLog(`Error: Could not clear label history (${err.message})`);
+    }
+  };
 
-            // Area Filter
-            if (area < (totalArea * CONFIG.MIN_AREA_RATIO) || area > (totalArea * CONFIG.MAX_AREA_RATIO)) {
-              continue;
-            }
+  // Matches the file name, tracking number or carrier
+  const historyQuery = historySearch.trim().toLowerCase();
+  const filteredHistory = historyQuery
+    ? labelHistory.filter(e => [e.fileName, e.tracking?.trackingNumber, e.tracking?.carrier]
+      .some(text => text?.toLowerCase().includes(historyQuery)))
+    : labelHistory;
 
-            // Relaxed Aspect Ratio Filter
-            let ratio = rect.width / rect.height;
-            if (ratio < 0.2 || ratio > 4.0) { 
-              continue;
-            }
+  // --- 7. Detection Settings ---
+  const currentProfile = activeProfile(detectionProfiles);
 
-            candidates.push({ area, rect });
-          }
+  const updateDetectionProfiles = (next) => {
+    setDetectionProfiles(next);
+    saveProfiles(next);
+    detectionSettingsRef.current = activeProfile(next).settings;
+  };
 
-          // --- FALLBACK LOGIC ---
-          if (candidates.length === 0) {
-            addLog("No specific label contour found. Checking for fallback...");
-            const pageRatio = src.cols / src.rows;
-            
-            // Check if page itself is roughly label-shaped (0.4 to 2.5 ratio)
-            if (pageRatio > 0.4 && pageRatio < 2.5) {
-               addLog("Fallback triggered: Using full image as label.");
-               let fullRect = new cv.Rect(0, 0, src.cols, src.rows);
-               candidates.push({ area: totalArea, rect: fullRect });
-            } else {
-               // Cleanup and fail
-               src.delete(); dst.delete(); gray.delete(); blur.delete(); 
-               thresh.delete(); kernel.delete(); contours.delete(); hierarchy.delete();
-               throw new Error("No shipping label detected.");
-            }
-          }
+  const changeDetectionSettings = (settings) => {
+    updateDetectionProfiles({
+      ...detectionProfiles,
+      profiles: detectionProfiles.profiles.map(p => (p.id === currentProfile.id ? { ...p, settings } : p))
+    });
+  };
 
-          candidates.sort((a, b) => b.area - a.area);
-          let bestRect = candidates[0].rect;
-          addLog(`Target locked. Cropping area: ${Math.round(bestRect.width)}x${Math.round(bestRect.height)}`);
+  // Out-of-range values stay in the field as typed and are only applied once valid,
+  // so typing "0.05" doesn't snap to the minimum at "0". A minimum above its
+  // maximum (or the reverse) is out of range too.
+  const changeDetectionSetting = (setting, text) => {
+    const { key, odd } = setting;
+    const { min, max } = settingLimits(setting, currentProfile.settings);
+    setSettingDrafts(prev => ({ ...prev, [key]: text }));
+    const value = Number(text);
+    if (text === '' || !(value >= min && value <= max) || (odd && value % 2 !== 1)) return;
+    if (value !== currentProfile.settings[key]) {
+      changeDetectionSettings(sanitizeSettings({ ...currentProfile.settings, [key]: value }));
+    }
+  };
 
-          let roi = src.roi(bestRect);
-          
-          if (roi.cols > roi.rows) {
-            addLog("Detected Landscape orientation. Rotating 90 degrees...");
-            let rotated = new cv.Mat();
-            cv.rotate(roi, rotated, cv.ROTATE_90_CLOCKWISE);
-            roi.delete();
-            roi = rotated;
-          }
-
-          let final = new cv.Mat();
-          let finalSize = new cv.Size(CONFIG.TARGET_WIDTH, CONFIG.TARGET_HEIGHT);
-          
-          cv.resize(roi, final, finalSize, 0, 0, cv.INTER_LANCZOS4);
+  // A typed value that wasn't applied: out of range, or past the other end of its range
+  const rejectedDraft = (key) => settingDrafts[key] !== undefined && Number(settingDrafts[key]) !== currentProfile.settings[key];
 
-          cv.imshow(processedCanvasRef.current, final);
-          setProcessedImage(processedCanvasRef.current.toDataURL('image/png'));
-          
-          // Cleanup
-          src.delete(); dst.delete(); gray.delete(); blur.delete(); 
-          thresh.delete(); kernel.delete(); contours.delete(); 
-          hierarchy.delete(); roi.delete(); final.delete();
-
-          setStatus('success');
-          addLog("Processing Complete!");
-          resolve();
-        } catch (e) {
-          reject(e);
-        }
-      };
-      img.src = imageSrc;
-    });
+  const handleNewProfile = () => {
+    const name = window.prompt("Name for the new detection profile:", `${currentProfile.name} (copy)`)?.trim();
+    if (!name) return;
+    const profile = { id: `custom-${Date.now()}`, name, builtIn: false, settings: currentProfile.settings };
+    updateDetectionProfiles({ activeId: profile.id, profiles: [...detectionProfiles.profiles, profile] });
+  };
+
+  const handleDeleteProfile = () => {
+    if (currentProfile.builtIn || !window.confirm(`Delete the "${currentProfile.name}" profile?`)) return;
+    const profiles = detectionProfiles.profiles.filter(p => p.id !== currentProfile.id);
+    updateDetectionProfiles({ activeId: profiles[0].id, profiles });
   };
 
+  const handleResetProfile = () => changeDetectionSettings(builtInSettings(currentProfile.id));
+
+  // Detects the selected page again with the current settings and replaces its
+  // labels and packing slips. Edits to those labels are dropped with them.
+  const rerunDetection = useEffectEvent(async () => {
+    if (!selected?.source || !['success', 'error'].includes(selected.status)) return;
+    const page = selected;
+    const token = ++rerunTokenRef.current;
+    try {
+      const config = pipelineConfig();
+      const found = await pipelineRef.current.call('detect', {
+        source: page.source,
+        page: page.pdfPage || null,
+        config
+      });
+      if (rerunTokenRef.current !== token) return;
+      if (!found.labels.length) throw new Error("No shipping label detected.");
+
+      const replaced = new Set(results.filter(r => r.pageId === page.pageId).map(r => r.id));
+      const entries = labelEntries(page, found, config);
+      const replacePage = (list, items) => {
+        const index = list.findIndex(r => r.pageId === page.pageId);
+        const rest = list.filter(r => r.pageId !== page.pageId);
+        rest.splice(index < 0 ? rest.length : index, 0, ...items);
+        return rest;
+      };
+      setResults(prev => replacePage(prev, entries));
+      setSlips(prev => replacePage(prev, slipEntries(page, found)));
+      setHistory(prev => ({
+        past: prev.past.filter(e => !replaced.has(e.id)),
+        future: prev.future.filter(e => !replaced.has(e.id))
+      }));
+      setSelectedId(entries[Math.min(page.label, entries.length) - 1].id);
+      addLog(`Detection re-run with "${currentProfile.name}": ${found.labels.length} label(s), ${found.slips.length} packing slip(s).`);
+    } catch (err) {
+      if (rerunTokenRef.current !== token) return;
+      console.error(err);
+      addLog(`Re-run with "${currentProfile.name}" failed: ${err.message}`);
+    }
+  });
+
+  // Settings changes re-run detection on the page in the preview, once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => rerunDetection(), 400);
+    return () => clearTimeout(timer);
+  }, [detectionProfiles]);
+
+  // Pages are detected without contour outlines, which are slow to trace on
+  // noisy scans. The detection view traces them for the page it shows, with
+  // the settings its labels were found with.
+  const traceContours = useEffectEvent(async () => {
+    if (!selected?.source || selected.detection?.contours !== null) return;
+    const { source, pdfPage, detection, detectionConfig } = selected;
+    try {
+      const { contours } = await pipelineRef.current.call('trace', {
+        source,
+        page: pdfPage || null,
+        config: detectionConfig
+      });
+      // Labels from a re-run in the meantime have their own detection; leave them be
+      const traced = { ...detection, contours };
+      setResults(prev => prev.map(r => (r.detection === detection ? { ...r, detection: traced } : r)));
+    } catch (err) {
+      console.error(err);
+      addLog(`Could not trace the detection view: ${err.message}`);
+    }
+  });
+
+  useEffect(() => {
+    if (showDetection) traceContours();
+  }, [showDetection, selected?.detection]);
+
   // --- UI Components ---
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 font-sans selection:bg-indigo-100 selection:text-indigo-700 flex flex-col">
@@ -424,18 +1155,24 @@ function App() {
             </div>
 
             {/* Upload Card */}
-            <div className={`
+            <div 
+              onDragOver={handleDragOver}
+              onDragLeave={() => setDragActive(false)}
+              onDrop={handleDrop}
+              className={`
               relative group rounded-2xl border-2 border-dashed transition-all duration-300 ease-in-out overflow-hidden bg-white shadow-sm
-              ${status === 'processing' || status === 'loading' ? 'border-slate-200 bg-slate-50 cursor-not-allowed' : 'border-slate-300 hover:border-indigo-400 hover:shadow-md cursor-pointer'}
-              ${file ? 'h-auto' : 'h-80'}
+              ${status === 'loading' ? 'border-slate-200 bg-slate-50 cursor-not-allowed' : 'border-slate-300 hover:border-indigo-400 hover:shadow-md cursor-pointer'}
+              ${dragActive ? 'border-indigo-500 bg-indigo-50/50' : ''}
+              ${originalImage ? 'h-auto' : 'h-80'}
             `}>
               <label className="block w-full h-full relative z-10">
                 <input 
                   type="file" 
                   className="hidden" 
-                  accept=".pdf,.jpg,.jpeg,.png"
+                  accept={ACCEPTED_FILES}
+                  multiple
                   onChange={handleFileUpload} 
-                  disabled={status === 'processing' || status === 'loading'}
+                  disabled={status === 'loading'}
                 />
                 
                 {/* State: Empty / Waiting for Upload */}
@@ -456,7 +1193,7 @@ function App() {
                       {status === 'loading' ? 'Warming up...' : 'Click to upload or drag and drop'}
                     </h3>
                     <p className="text-sm text-slate-500 max-w-xs mx-auto">
-                      Supports PDF, PNG, or JPG. We handle the rest.
+                      Supports {SUPPORTED_FORMATS_TEXT}. Add as many files as you like, we handle the rest.
                     </p>
                   </div>
                 )}
@@ -468,24 +1205,92 @@ function App() {
                       <img 
                         src={originalImage} 
                         alt="Original" 
-                        className={`w-full h-full object-contain mix-blend-multiply ${status === 'processing' ? 'blur-sm scale-105 opacity-50' : ''} transition-all duration-500`} 
+                        className={`w-full h-full object-contain mix-blend-multiply ${analyzing ? 'blur-sm scale-105 opacity-50' : ''} transition-all duration-500`} 
                       />
+
+                      {/* Detection debug view: click a candidate to crop to it */}
+                      {canEditCrop && showDetection && selected.detection && (
+                        <DetectionOverlay
+                          width={selected.sourceWidth}
+                          height={selected.sourceHeight}
+                          debug={selected.detection}
+                          rect={selected.rect}
+                          onPick={(candidate) => handleCropChange(selected.id, candidate.rect, candidate.quad)}
+                        />
+                      )}
+
+                      {/* Manual Crop Override */}
+                      {canEditCrop && !showDetection && (
+                        <CropEditor
+                          width={selected.sourceWidth}
+                          height={selected.sourceHeight}
+                          rect={selected.rect}
+                          quad={selected.quad?.points}
+                          otherRects={siblingRects}
+                          onChange={(rect) => handleCropChange(selected.id, rect)}
+                        />
+                      )}
                       
                       {/* Processing Overlay */}
-                      {status === 'processing' && (
+                      {analyzing && (
                          <div className="absolute inset-0 flex flex-col items-center justify-center z-20 backdrop-blur-sm bg-white/30">
                            <div className="bg-white/90 p-4 rounded-2xl shadow-lg border border-white/50 backdrop-blur flex flex-col items-center">
                              <Loader2 className="w-8 h-8 text-indigo-600 animate-spin mb-2" />
                              <span className="text-sm font-semibold text-slate-700">Analyzing...</span>
+                             {activeFile?.pageCount > 1 && (
+                               <span className="text-xs text-slate-500 mt-0.5">Page {Math.min(activeFile.pagesDone + 1, activeFile.pageCount)} of {activeFile.pageCount}</span>
+                             )}
                            </div>
                          </div>
                       )}
                     </div>
                     
-                    {/* Floating Change Button */}
+                    {canEditCrop && (
+                      <div className="mt-3 px-1 text-xs text-slate-500" onClick={(e) => e.preventDefault()}>
+                        <div className="flex items-center justify-between gap-3">
+                          <span>
+                            {showDetection
+                              ? 'Click a candidate to crop to it instead.'
+                              : 'Drag the box or its handles to adjust the crop.'}
+                          </span>
+                          <div className="flex items-center gap-3 flex-shrink-0">
+                            {labelEdited && (
+                              <button
+                                onClick={() => handleRevert(selected.id)}
+                                className="font-medium text-indigo-600 hover:text-indigo-700 hover:underline"
+                              >
+                                Revert to auto-detected
+                              </button>
+                            )}
+                            {selected.detection && (
+                              <button
+                                onClick={() => setShowDetection(v => !v)}
+                                className={`flex items-center gap-1 font-medium hover:underline ${showDetection ? 'text-indigo-600' : 'text-slate-600 hover:text-slate-900'}`}
+                                title="Show every contour and candidate the detector considered"
+                              >
+                                <ScanSearch className="w-3.5 h-3.5" />
+                                {showDetection ? 'Hide detection' : 'Show detection'}
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                        {showDetection && selected.detection && (
+                          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2">
+                            <span className="flex items-center gap-1.5"><span className="w-3 border-t border-dashed border-slate-400" />{selected.detection.contours ? `${selected.detection.contours.length} contours (dashed: filtered out)` : 'Tracing contours...'}</span>
+                            <span className="flex items-center gap-1.5"><span className="w-3 border-t-2 border-dashed border-amber-500" />Candidates</span>
+                            <span className="flex items-center gap-1.5"><span className="w-3 border-t-2 border-emerald-500" />Detected labels</span>
+                            <span className="flex items-center gap-1.5"><span className="w-3 border-t-2 border-sky-500" />Packing slips</span>
+                            <span className="flex items-center gap-1.5"><span className="w-3 border-t-2 border-indigo-500" />Current crop</span>
+                            <span>% = size relative to the largest candidate</span>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    
+                    {/* Floating Add Button */}
                     <div className="absolute bottom-8 left-0 right-0 flex justify-center opacity-0 group-hover:opacity-100 transition-opacity duration-200">
                       <span className="bg-slate-900/80 text-white backdrop-blur-md px-4 py-2 rounded-full text-sm font-medium shadow-lg hover:bg-slate-800">
-                        Change File
+                        Add More Files
                       </span>
                     </div>
                   </div>
@@ -493,12 +1298,179 @@ function App() {
               </label>
             </div>
             
+            {/* Processing Queue */}
+            {queue.length > 0 && (
+              <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+                <div className="px-4 py-3 border-b border-slate-200 flex items-center justify-between">
+                  <h3 className="font-semibold text-slate-900">Queue</h3>
+                  <span className="text-xs text-slate-500">{finishedFiles} of {queue.length} files processed</span>
+                </div>
+                <ul className="divide-y divide-slate-100 max-h-72 overflow-y-auto">
+                  {queue.map(item => (
+                    <li key={item.id} className="px-4 py-3">
+                      <div className="flex items-center gap-3">
+                        {item.status === 'processing' && <Loader2 className="w-4 h-4 text-indigo-600 animate-spin flex-shrink-0" />}
+                        {item.status === 'queued' && <FileText className="w-4 h-4 text-slate-300 flex-shrink-0" />}
+                        {item.status === 'done' && <CheckCircle2 className="w-4 h-4 text-emerald-600 flex-shrink-0" />}
+                        {item.status === 'error' && <AlertCircle className="w-4 h-4 text-red-600 flex-shrink-0" />}
+                        {item.status === 'cancelled' && <X className="w-4 h-4 text-slate-400 flex-shrink-0" />}
+                        {item.status === 'locked' && <Lock className="w-4 h-4 text-amber-600 flex-shrink-0" />}
+                        <span className="text-sm font-medium text-slate-900 truncate flex-grow" title={item.name}>{item.name}</span>
+                        <span className="text-xs text-slate-500 flex-shrink-0">
+                          {item.status === 'queued' && 'Waiting'}
+                          {item.status === 'processing' && (item.pageCount ? `Page ${Math.min(item.pagesDone + 1, item.pageCount)} of ${item.pageCount}` : 'Loading')}
+                          {item.status === 'done' && `${item.labelCount} label${item.labelCount === 1 ? '' : 's'}`}
+                          {item.status === 'cancelled' && 'Cancelled'}
+                          {item.status === 'locked' && 'Password needed'}
+                        </span>
+                        {['queued', 'processing', 'locked'].includes(item.status) && (
+                          <button
+                            onClick={() => handleCancelFile(item.id)}
+                            className="p-1 rounded-md text-slate-400 hover:text-red-600 hover:bg-red-50 transition-colors flex-shrink-0"
+                            title="Cancel"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                      {item.status === 'processing' && item.pageCount > 0 && (
+                        <>
+                          <div className="mt-2 h-1 bg-slate-100 rounded-full overflow-hidden">
+                            <div className="h-full bg-indigo-500 transition-all duration-300" style={{ width: `${(item.pagesDone / item.pageCount) * 100}%` }} />
+                          </div>
+                          {item.stage && (
+                            <p className="text-xs text-slate-400 mt-1 capitalize">{item.stage}...</p>
+                          )}
+                        </>
+                      )}
+                      {item.status === 'error' && (
+                        <p className="text-xs text-red-600 mt-1 pl-7">{item.error}</p>
+                      )}
+                      {item.status === 'done' && item.repaired && (
+                        <p className="text-xs text-amber-700 mt-1 pl-7">The file was damaged and has been repaired. Check its labels before printing.</p>
+                      )}
+                      {item.status === 'locked' && (
+                        <form
+                          className="mt-2 pl-7 space-y-2"
+                          onSubmit={(e) => {
+                            e.preventDefault();
+                            handleUnlockFile(item.id, new FormData(e.currentTarget).get('password'));
+                          }}
+                        >
+                          <p className="text-xs text-amber-700">{item.error}</p>
+                          <div className="flex gap-2">
+                            <input
+                              type="password"
+                              name="password"
+                              autoComplete="off"
+                              autoFocus
+                              placeholder="PDF password"
+                              aria-label={`Password for ${item.name}`}
+                              className="flex-grow min-w-0 px-2 py-1.5 text-sm rounded-lg border border-slate-300 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            />
+                            <button
+                              type="submit"
+                              className="px-3 py-1.5 text-sm font-medium rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
+                            >
+                              Unlock
+                            </button>
+                          </div>
+                        </form>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Detection Settings (advanced) */}
+            <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+              <button
+                onClick={() => setShowDetectionSettings(open => !open)}
+                className="w-full px-4 py-3 flex items-center justify-between text-left hover:bg-slate-50 transition-colors"
+                aria-expanded={showDetectionSettings}
+              >
+                <span className="flex items-center gap-2 text-sm font-semibold text-slate-900">
+                  <SlidersHorizontal className="w-4 h-4 text-slate-500" /> Detection Settings
+                </span>
+                <span className="text-xs text-slate-500">{currentProfile.name}</span>
+              </button>
+
+              {showDetectionSettings && (
+                <div className="border-t border-slate-200 px-4 py-3 space-y-3">
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={currentProfile.id}
+                      onChange={(e) => updateDetectionProfiles({ ...detectionProfiles, activeId: e.target.value })}
+                      className="flex-grow min-w-0 text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                    >
+                      {detectionProfiles.profiles.map(profile => (
+                        <option key={profile.id} value={profile.id}>{profile.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleNewProfile}
+                      className="p-2 rounded-lg border border-slate-300 text-slate-600 hover:bg-slate-50 transition-colors"
+                      title="New profile from these settings"
+                    >
+                      <Plus className="w-4 h-4" />
+                    </button>
+                    {currentProfile.builtIn ? (
+                      <button
+                        onClick={handleResetProfile}
+                        className="p-2 rounded-lg border border-slate-300 text-slate-600 hover:bg-slate-50 transition-colors"
+                        title="Reset to the built-in values"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={handleDeleteProfile}
+                        className="p-2 rounded-lg border border-slate-300 text-slate-600 hover:bg-red-50 hover:text-red-600 hover:border-red-200 transition-colors"
+                        title="Delete profile"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-x-3 gap-y-2">
+                    {DETECTION_SETTINGS.map(setting => (
+                      <label key={setting.key} className="flex flex-col gap-1 text-xs text-slate-600" title={setting.hint}>
+                        {setting.name}
+                        <input
+                          type="number"
+                          min={setting.min}
+                          max={setting.max}
+                          step={setting.step}
+                          value={settingDrafts[setting.key] ?? currentProfile.settings[setting.key]}
+                          onChange={(e) => changeDetectionSetting(setting, e.target.value)}
+                          onBlur={() => setSettingDrafts(prev => {
+                            const next = { ...prev };
+                            delete next[setting.key];
+                            return next;
+                          })}
+                          aria-invalid={rejectedDraft(setting.key)}
+                          className={`text-sm rounded-lg border bg-white px-2 py-1.5 ${rejectedDraft(setting.key) ? 'border-red-300 text-red-700' : 'border-slate-300 text-slate-700'}`}
+                        />
+                      </label>
+                    ))}
+                  </div>
+
+                  <p className="text-xs text-slate-400">
+                    Saved in this browser. Changes re-run detection on the page in the preview and apply to every file processed after.
+                  </p>
+                </div>
+              )}
+            </div>
+
             {/* Supported Formats Footnote */}
-            {!file && (
-              <div className="flex gap-4 justify-center text-xs text-slate-400 font-medium uppercase tracking-wider">
-                <span className="flex items-center gap-1"><FileText className="w-3 h-3" /> PDF</span>
-                <span className="flex items-center gap-1"><ImageIcon className="w-3 h-3" /> JPG</span>
-                <span className="flex items-center gap-1"><ImageIcon className="w-3 h-3" /> PNG</span>
+            {queue.length === 0 && (
+              <div className="flex flex-wrap gap-x-4 gap-y-1 justify-center text-xs text-slate-400 font-medium uppercase tracking-wider">
+                {INPUT_FORMATS.map(f => {
+                  const Icon = f.id === 'pdf' ? FileText : ImageIcon;
+                  return <span key={f.id} className="flex items-center gap-1"><Icon className="w-3 h-3" /> {f.name}</span>;
+                })}
               </div>
             )}
           </div>
@@ -511,7 +1483,7 @@ function App() {
               <div>
                 <h2 className="text-2xl font-semibold text-slate-900">Label Output</h2>
                 <p className="text-slate-500 mt-2">
-                  Optimized 4x6 thermal format label.
+                  Optimized {labelSize.name} thermal format label at {output.dpi} dpi.
                 </p>
               </div>
               
@@ -529,11 +1501,85 @@ function App() {
               ${status === 'success' ? 'bg-slate-100 border-slate-200' : 'bg-white border-slate-200'}
             `}>
               
+              {/* Output Stock */}
+              <div className="bg-white border-b border-slate-200 px-4 sm:px-6 py-3 flex flex-wrap items-center gap-3">
+                <span className="text-sm font-medium text-slate-700">Label size</span>
+                <select
+                  value={output.sizeId}
+                  onChange={(e) => handleOutputChange({ sizeId: e.target.value })}
+                  className="text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                >
+                  {LABEL_SIZES.map(size => (
+                    <option key={size.id} value={size.id}>{size.name}</option>
+                  ))}
+                </select>
+                <select
+                  value={output.dpi}
+                  onChange={(e) => handleOutputChange({ dpi: Number(e.target.value) })}
+                  className="text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                >
+                  {LABEL_DPI_OPTIONS.map(dpi => (
+                    <option key={dpi} value={dpi}>{dpi} dpi</option>
+                  ))}
+                </select>
+                <select
+                  value={output.thermal}
+                  onChange={(e) => handleOutputChange({ thermal: e.target.value })}
+                  className="text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                >
+                  {THERMAL_MODES.map(mode => (
+                    <option key={mode.id} value={mode.id}>{mode.name}</option>
+                  ))}
+                </select>
+                <div className="flex rounded-lg border border-slate-300 overflow-hidden ml-auto">
+                  {FIT_MODES.map(mode => (
+                    <button
+                      key={mode.id}
+                      onClick={() => handleOutputChange({ fit: mode.id })}
+                      className={`px-3 py-1.5 text-sm font-medium transition-colors ${output.fit === mode.id ? 'bg-indigo-600 text-white' : 'bg-white text-slate-700 hover:bg-slate-50'}`}
+                    >
+                      {mode.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
               {/* Hidden Canvas for Processing */}
               <canvas ref={processedCanvasRef} className="hidden" />
 
               <div className="flex-grow flex items-center justify-center p-8 relative">
-                {processedImage ? (
+                {processedImage && selected.original ? (
+                  <div className="w-full flex flex-col items-center gap-3">
+                    {/* Before/after: the color label is drawn over the thermal one and clipped at the split */}
+                    <div className="relative perspective-1000" style={{ transform: 'rotateX(2deg)' }}>
+                      <img 
+                        src={processedImage} 
+                        alt="Thermal Label" 
+                        className="max-w-full max-h-[500px] shadow-2xl rounded-sm border border-slate-200 bg-white" 
+                      />
+                      <img
+                        src={selected.original}
+                        alt="Original Label"
+                        className="absolute inset-0 w-full h-full rounded-sm bg-white"
+                        style={{ clipPath: `inset(0 ${100 - comparePosition}% 0 0)` }}
+                      />
+                      <div className="absolute inset-y-0 w-0.5 bg-indigo-500 pointer-events-none" style={{ left: `${comparePosition}%` }} />
+                    </div>
+                    <div className="flex items-center gap-3 w-full max-w-xs text-xs font-medium text-slate-500">
+                      <span>Before</span>
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={comparePosition}
+                        onChange={(e) => setComparePosition(Number(e.target.value))}
+                        className="flex-grow accent-indigo-600"
+                        aria-label="Before/after split"
+                      />
+                      <span>After</span>
+                    </div>
+                  </div>
+                ) : processedImage ? (
                   <div className="relative group perspective-1000">
                      <img 
                       src={processedImage} 
@@ -542,6 +1588,16 @@ function App() {
                       style={{ transform: 'rotateX(2deg)' }}
                     />
                   </div>
+                ) : selected?.status === 'error' && status !== 'error' ? (
+                  <div className="text-center space-y-3 max-w-sm mx-auto">
+                    <div className="w-12 h-12 bg-red-50 text-red-500 rounded-full flex items-center justify-center mx-auto border border-red-100">
+                      <AlertCircle className="w-6 h-6" />
+                    </div>
+                    <div>
+                       <p className="text-slate-700 font-medium">No label found on {resultTitle(selected).toLowerCase()}.</p>
+                       <p className="text-slate-400 text-sm mt-1">{selected.error}</p>
+                    </div>
+                  </div>
                 ) : (
                   <div className="text-center space-y-4 max-w-sm mx-auto opacity-50">
                     <div className="w-20 h-20 bg-slate-50 rounded-full flex items-center justify-center mx-auto border border-slate-100">
@@ -554,7 +1610,36 @@ function App() {
                   </div>
                 )}
                 
-                {status === 'error' && (
+                {status === 'error' && lockedFile && (
+                   <div className="absolute inset-0 flex items-center justify-center bg-white/90 z-20">
+                     <div className="text-center p-6 bg-amber-50 rounded-2xl border border-amber-100 max-w-sm">
+                       <div className="w-12 h-12 bg-amber-100 text-amber-600 rounded-full flex items-center justify-center mx-auto mb-3">
+                         <Lock className="w-6 h-6" />
+                       </div>
+                       <h3 className="text-amber-900 font-semibold">Password Needed</h3>
+                       <p className="text-amber-800 text-sm mt-1">
+                         {lockedFile.name} is password-protected. Enter its password in the queue to process it.
+                       </p>
+                     </div>
+                   </div>
+                )}
+
+                {status === 'error' && !lockedFile && unopenedFile && (
+                   <div className="absolute inset-0 flex items-center justify-center bg-white/90 z-20">
+                     <div className="text-center p-6 bg-red-50 rounded-2xl border border-red-100 max-w-sm">
+                       <div className="w-12 h-12 bg-red-100 text-red-600 rounded-full flex items-center justify-center mx-auto mb-3">
+                         <AlertCircle className="w-6 h-6" />
+                       </div>
+                       <h3 className="text-red-900 font-semibold break-words">Could Not Open {unopenedFile.name}</h3>
+                       <p className="text-red-700 text-sm mt-1">{unopenedFile.error}</p>
+                       <button onClick={reset} className="mt-4 text-sm font-medium text-red-700 hover:text-red-800 hover:underline">
+                         Try another file
+                       </button>
+                     </div>
+                   </div>
+                )}
+
+                {status === 'error' && !lockedFile && !unopenedFile && (
                    <div className="absolute inset-0 flex items-center justify-center bg-white/90 z-20">
                      <div className="text-center p-6 bg-red-50 rounded-2xl border border-red-100 max-w-sm">
                        <div className="w-12 h-12 bg-red-100 text-red-600 rounded-full flex items-center justify-center mx-auto mb-3">
@@ -572,31 +1657,61 @@ function App() {
                 )}
               </div>
 
+              {/* Tracking Number */}
+              {selected?.tracking && (
+                <div className="bg-white border-t border-slate-200 px-4 sm:px-6 py-3 flex items-center gap-3">
+                  <ScanBarcode className="w-5 h-5 text-slate-400 flex-shrink-0" />
+                  {selected.tracking.carrier && (
+                    <span className="text-xs font-semibold uppercase tracking-wider text-indigo-700 bg-indigo-50 px-2 py-0.5 rounded-md">
+                      {selected.tracking.carrier}
+                    </span>
+                  )}
+                  <span className="font-mono text-sm text-slate-900 select-all truncate">{selected.tracking.trackingNumber}</span>
+                </div>
+              )}
+
               {/* Action Toolbar (Bottom) */}
               <div className="bg-white border-t border-slate-200 p-4 sm:p-6 flex flex-col sm:flex-row gap-4 items-center justify-between">
                 
                 {/* Rotate Group */}
                 <div className="flex items-center gap-2 w-full sm:w-auto">
                    <button 
-                     onClick={() => handleRotate('left')}
-                     disabled={!processedImage}
+                     onClick={() => handleRotate(selectedId, 'left')}
+                     disabled={!canExport}
                      className="flex-1 sm:flex-none p-2.5 rounded-xl border border-slate-200 text-slate-600 hover:bg-slate-50 hover:text-slate-900 hover:border-slate-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                      title="Rotate Left"
                    >
                      <RotateCcw className="w-5 h-5 mx-auto" />
                    </button>
                    <button 
-                     onClick={() => handleRotate('right')}
-                     disabled={!processedImage}
+                     onClick={() => handleRotate(selectedId, 'right')}
+                     disabled={!canExport}
                      className="flex-1 sm:flex-none p-2.5 rounded-xl border border-slate-200 text-slate-600 hover:bg-slate-50 hover:text-slate-900 hover:border-slate-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                      title="Rotate Right"
                    >
                      <RotateCw className="w-5 h-5 mx-auto" />
                    </button>
                    <div className="w-px h-8 bg-slate-200 mx-2 hidden sm:block"></div>
+                   <button 
+                     onClick={handleUndo}
+                     disabled={history.past.length === 0}
+                     className="flex-1 sm:flex-none p-2.5 rounded-xl border border-slate-200 text-slate-600 hover:bg-slate-50 hover:text-slate-900 hover:border-slate-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                     title="Undo (Ctrl+Z)"
+                   >
+                     <Undo2 className="w-5 h-5 mx-auto" />
+                   </button>
+                   <button 
+                     onClick={handleRedo}
+                     disabled={history.future.length === 0}
+                     className="flex-1 sm:flex-none p-2.5 rounded-xl border border-slate-200 text-slate-600 hover:bg-slate-50 hover:text-slate-900 hover:border-slate-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                     title="Redo (Ctrl+Shift+Z)"
+                   >
+                     <Redo2 className="w-5 h-5 mx-auto" />
+                   </button>
+                   <div className="w-px h-8 bg-slate-200 mx-2 hidden sm:block"></div>
                    <button 
                      onClick={reset}
-                     disabled={!processedImage}
+                     disabled={results.length === 0 || status === 'processing'}
                      className="flex-1 sm:flex-none p-2.5 rounded-xl border border-slate-200 text-slate-600 hover:bg-red-50 hover:text-red-600 hover:border-red-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                      title="Reset"
                    >
@@ -607,11 +1722,11 @@ function App() {
                 {/* Primary Actions Group */}
                 <div className="flex items-center gap-3 w-full sm:w-auto">
                   <button 
-                    onClick={handlePrint}
-                    disabled={status !== 'success'}
+                    onClick={() => handlePrint([selected])}
+                    disabled={!canExport}
                     className={`
                       flex-1 sm:flex-none flex items-center justify-center gap-2 px-6 py-2.5 rounded-xl font-medium border transition-all duration-200 shadow-sm
-                      ${status === 'success' 
+                      ${canExport 
                         ? 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50 hover:text-slate-900 hover:border-slate-400' 
                         : 'bg-slate-50 border-slate-200 text-slate-400 cursor-not-allowed'}
                     `}
@@ -620,16 +1735,31 @@ function App() {
                     <span>Print</span>
                   </button>
 
+                  <button 
+                    onClick={() => handleDownloadPdf([selected])}
+                    disabled={!canExport || exportingPdf}
+                    className={`
+                      flex-1 sm:flex-none flex items-center justify-center gap-2 px-6 py-2.5 rounded-xl font-medium border transition-all duration-200 shadow-sm
+                      ${canExport && !exportingPdf
+                        ? 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50 hover:text-slate-900 hover:border-slate-400' 
+                        : 'bg-slate-50 border-slate-200 text-slate-400 cursor-not-allowed'}
+                    `}
+                    title={selected?.pdfPage ? `Download as ${labelSize.name} vector PDF` : `Download as ${labelSize.name} PDF`}
+                  >
+                    {exportingPdf ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+                    <span>PDF</span>
+                  </button>
+
                   <a 
-                    href={processedImage} 
-                    download={`label_${Date.now()}.png`}
+                    href={processedImage || undefined} 
+                    download={selected ? labelFileName(selected) : undefined}
                     className={`
                       flex-[2] sm:flex-none flex items-center justify-center gap-2 px-6 py-2.5 rounded-xl font-medium shadow-sm transition-all duration-200
-                      ${status === 'success' 
+                      ${canExport 
                         ? 'bg-indigo-600 text-white hover:bg-indigo-700 hover:shadow-indigo-200 shadow-indigo-100 hover:-translate-y-0.5' 
                         : 'bg-slate-200 text-slate-400 cursor-not-allowed'}
                     `}
-                    onClick={(e) => status !== 'success' && e.preventDefault()}
+                    onClick={(e) => !canExport && e.preventDefault()}
                   >
                     <span>Download</span>
                     <ArrowRight className="w-4 h-4" />
@@ -637,6 +1767,426 @@ function App() {
                 </div>
 
               </div>
+
+              {/* File Naming */}
+              <div className="bg-slate-50 border-t border-slate-200 px-4 sm:px-6 py-3 flex flex-wrap items-center gap-3">
+                <label htmlFor="file-name-pattern" className="text-sm font-medium text-slate-700">File name</label>
+                <input
+                  id="file-name-pattern"
+                  type="text"
+                  value={fileNamePattern}
+                  onChange={(e) => setFileNamePattern(e.target.value)}
+                  placeholder={DEFAULT_FILE_NAME_PATTERN}
+                  spellCheck={false}
+                  className="flex-grow min-w-0 text-sm font-mono rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                />
+                <p className="w-full text-xs text-slate-400">
+                  Tokens: {FILE_NAME_TOKENS.map(t => `{${t}}`).join(' ')}. Labels without a readable barcode keep a timestamped name.
+                </p>
+              </div>
+
+              {/* Print Layout */}
+              <div className="bg-slate-50 border-t border-slate-200 px-4 sm:px-6 py-3 flex flex-wrap items-center gap-3">
+                <span className="text-sm font-medium text-slate-700 flex items-center gap-1.5">
+                  <LayoutGrid className="w-4 h-4 text-slate-500" /> Print on
+                </span>
+                <select
+                  value={printLayout.layoutId}
+                  onChange={(e) => updatePrintLayout({ layoutId: e.target.value })}
+                  className="flex-grow min-w-0 text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                >
+                  <option value={STOCK_LAYOUT_ID}>Label stock ({labelSize.name}, one per page)</option>
+                  {SHEET_LAYOUTS.map(layout => (
+                    <option key={layout.id} value={layout.id}>{layout.name}</option>
+                  ))}
+                </select>
+                {printLayout.layoutId !== STOCK_LAYOUT_ID && (
+                  <>
+                    {[
+                      { key: 'margin', label: 'Margin', min: 0 },
+                      { key: 'offsetX', label: 'Offset →' },
+                      { key: 'offsetY', label: 'Offset ↓' }
+                    ].map(({ key, label, min }) => (
+                      <label key={key} className="flex items-center gap-1.5 text-sm text-slate-600">
+                        {label}
+                        <input
+                          type="number"
+                          step="0.5"
+                          min={min}
+                          value={printLayout[key]}
+                          onChange={(e) => updatePrintLayout({ [key]: Number(e.target.value) || 0 })}
+                          className="w-16 text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                        />
+                        <span className="text-xs text-slate-400">mm</span>
+                      </label>
+                    ))}
+                    {getSheetLayout(printLayout.layoutId)?.plain && (
+                      <label className="flex items-center gap-1.5 text-sm text-slate-600">
+                        <input
+                          type="checkbox"
+                          checked={printLayout.cutMarks}
+                          onChange={(e) => updatePrintLayout({ cutMarks: e.target.checked })}
+                          className="rounded border-slate-300 text-indigo-600"
+                        />
+                        Cut marks
+                      </label>
+                    )}
+                    <p className="w-full text-xs text-slate-400">
+                      Print the sheets at 100% (actual size). If labels land off their cells, move them with the offsets; negative values move left or up.
+                    </p>
+                  </>
+                )}
+              </div>
+
+              {/* Zebra ZPL Export */}
+              <div className="bg-slate-50 border-t border-slate-200 px-4 sm:px-6 py-3 flex flex-wrap items-center gap-3">
+                <span className="text-sm font-medium text-slate-700">Zebra ZPL</span>
+                <select
+                  value={zplDpi}
+                  onChange={(e) => setZplDpi(Number(e.target.value))}
+                  className="text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                >
+                  {ZPL_DPI_OPTIONS.map(dpi => (
+                    <option key={dpi} value={dpi}>{dpi} dpi</option>
+                  ))}
+                </select>
+                <select
+                  value={zplMode}
+                  onChange={(e) => setZplMode(e.target.value)}
+                  className="text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                >
+                  <option value="dither">Dithered</option>
+                  <option value="threshold">Threshold</option>
+                </select>
+                <div className="flex items-center gap-2 ml-auto">
+                  <button
+                    onClick={() => handleZplExport('copy')}
+                    disabled={!canExport}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium border border-slate-300 text-slate-700 bg-white hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {zplCopied ? <Check className="w-4 h-4 text-emerald-600" /> : <Copy className="w-4 h-4" />}
+                    <span>{zplCopied ? 'Copied' : 'Copy'}</span>
+                  </button>
+                  <button
+                    onClick={() => handleZplExport('download')}
+                    disabled={!canExport}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium border border-slate-300 text-slate-700 bg-white hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Download className="w-4 h-4" />
+                    <span>.zpl</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {/* Page List (multi-page documents) */}
+            {results.length > 1 && (
+              <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+                <div className="flex items-center justify-between px-4 sm:px-6 py-4 border-b border-slate-200">
+                  <div>
+                    <h3 className="font-semibold text-slate-900">Labels</h3>
+                    <p className="text-xs text-slate-500 mt-0.5">
+                      {completedResults.length} of {results.length} labels ready
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => handlePrint(completedResults)}
+                      disabled={completedResults.length === 0 || status === 'processing'}
+                      className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium border border-slate-300 text-slate-700 bg-white hover:bg-slate-50 hover:border-slate-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      <Layers className="w-4 h-4" />
+                      <span>Print All</span>
+                    </button>
+                    <button
+                      onClick={() => handleDownloadPdf(completedResults)}
+                      disabled={completedResults.length === 0 || status === 'processing' || exportingPdf}
+                      className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium border border-slate-300 text-slate-700 bg-white hover:bg-slate-50 hover:border-slate-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {exportingPdf ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+                      <span>PDF</span>
+                    </button>
+                    <button
+                      onClick={handleDownloadZip}
+                      disabled={completedResults.length === 0 || status === 'processing' || zipping}
+                      className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {zipping ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileArchive className="w-4 h-4" />}
+                      <span>Download ZIP</span>
+                    </button>
+                  </div>
+                </div>
+
+                <ul className="divide-y divide-slate-100 max-h-[480px] overflow-y-auto">
+                  {results.map(result => {
+                    const ready = result.status === 'success';
+                    const thumbnail = result.image || result.source;
+                    return (
+                      <li
+                        key={result.id}
+                        onClick={() => setSelectedId(result.id)}
+                        className={`flex items-center gap-3 px-4 sm:px-6 py-3 cursor-pointer transition-colors ${result.id === selectedId ? 'bg-indigo-50' : 'hover:bg-slate-50'}`}
+                      >
+                        <div className="w-12 h-16 flex-shrink-0 bg-slate-100 rounded-md border border-slate-200 overflow-hidden flex items-center justify-center">
+                          {thumbnail ? (
+                            <img src={thumbnail} alt={resultTitle(result)} className="w-full h-full object-contain bg-white" />
+                          ) : (
+                            <FileText className="w-5 h-5 text-slate-300" />
+                          )}
+                        </div>
+
+                        <div className="flex-grow min-w-0">
+                          <p className="text-sm font-medium text-slate-900">{resultTitle(result)}</p>
+                          {queue.length > 1 && (
+                            <p className="text-xs text-slate-400 truncate" title={result.fileName}>{result.fileName}</p>
+                          )}
+                          {result.status === 'success' && (
+                            <p className="text-xs text-emerald-600 flex items-center gap-1"><CheckCircle2 className="w-3 h-3" /> Ready</p>
+                          )}
+                          {result.tracking && (
+                            <p className="text-xs text-slate-500 font-mono truncate" title={result.tracking.trackingNumber}>
+                              {result.tracking.carrier && <span className="font-sans font-medium text-slate-700">{result.tracking.carrier} · </span>}
+                              {result.tracking.trackingNumber}
+                            </p>
+                          )}
+                          {result.status === 'processing' && (
+                            <p className="text-xs text-indigo-600 flex items-center gap-1"><Loader2 className="w-3 h-3 animate-spin" /> Processing</p>
+                          )}
+                          {result.status === 'pending' && (
+                            <p className="text-xs text-slate-400">Waiting</p>
+                          )}
+                          {result.status === 'error' && (
+                            <p className="text-xs text-red-600 flex items-center gap-1 truncate" title={result.error}><AlertCircle className="w-3 h-3 flex-shrink-0" /> {result.error}</p>
+                          )}
+                        </div>
+
+                        <div className="flex items-center gap-1 flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+                          <button
+                            onClick={() => handleRotate(result.id, 'left')}
+                            disabled={!ready}
+                            className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-900 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                            title="Rotate Left"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleRotate(result.id, 'right')}
+                            disabled={!ready}
+                            className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-900 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                            title="Rotate Right"
+                          >
+                            <RotateCw className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handlePrint([result])}
+                            disabled={!ready}
+                            className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-900 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                            title="Print"
+                          >
+                            <Printer className="w-4 h-4" />
+                          </button>
+                          <a
+                            href={result.image || undefined}
+                            download={labelFileName(result)}
+                            onClick={(e) => !ready && e.preventDefault()}
+                            className={`p-2 rounded-lg transition-colors ${ready ? 'text-indigo-600 hover:bg-indigo-100' : 'text-slate-300 cursor-not-allowed'}`}
+                            title="Download"
+                          >
+                            <Download className="w-4 h-4" />
+                          </a>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+
+
+            {/* Packing Slips */}
+            {slips.length > 0 && (
+              <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+                <div className="flex flex-wrap items-center justify-between gap-3 px-4 sm:px-6 py-4 border-b border-slate-200">
+                  <div>
+                    <h3 className="font-semibold text-slate-900 flex items-center gap-2">
+                      <ReceiptText className="w-4 h-4 text-slate-500" /> Packing Slips
+                    </h3>
+                    <p className="text-xs text-slate-500 mt-0.5">
+                      {slips.length} found beside the labels, printed one per half sheet
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={slipPaperId}
+                      onChange={(e) => setSlipPaperId(e.target.value)}
+                      className="text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                    >
+                      {SLIP_PAPERS.map(paper => (
+                        <option key={paper.id} value={paper.id}>{paper.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleDownloadSlips(slips)}
+                      disabled={exportingPdf}
+                      className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium border border-slate-300 text-slate-700 bg-white hover:bg-slate-50 hover:border-slate-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {exportingPdf ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+                      <span>PDF</span>
+                    </button>
+                  </div>
+                </div>
+
+                <ul className="divide-y divide-slate-100 max-h-[480px] overflow-y-auto">
+                  {slips.map(slip => (
+                    <li key={slip.id} className="flex items-center gap-3 px-4 sm:px-6 py-3">
+                      <div className="w-16 h-12 flex-shrink-0 bg-slate-100 rounded-md border border-slate-200 overflow-hidden">
+                        <img src={slip.image} alt={`Packing slip from page ${slip.page}`} className="w-full h-full object-contain bg-white" />
+                      </div>
+
+                      <div className="flex-grow min-w-0">
+                        <p className="text-sm font-medium text-slate-900">
+                          Page {slip.page}{slip.slip > 1 ? ` · Slip ${slip.slip}` : ''}
+                        </p>
+                        <p className="text-xs text-slate-400 truncate" title={slip.fileName}>{slip.fileName}</p>
+                      </div>
+
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <button
+                          onClick={() => handleDownloadSlips([slip])}
+                          disabled={exportingPdf}
+                          className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-900 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                          title="Download PDF"
+                        >
+                          <FileDown className="w-4 h-4" />
+                        </button>
+                        <a
+                          href={slip.image}
+                          download={`${baseName(slip.fileName)}_p${slip.page}_slip.png`}
+                          className="p-2 rounded-lg text-indigo-600 hover:bg-indigo-100 transition-colors"
+                          title="Download PNG"
+                        >
+                          <Download className="w-4 h-4" />
+                        </a>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Label History */}
+            <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+              <div className="flex flex-wrap items-center justify-between gap-3 px-4 sm:px-6 py-4 border-b border-slate-200">
+                <div>
+                  <h3 className="font-semibold text-slate-900 flex items-center gap-2">
+                    <History className="w-4 h-4 text-slate-500" /> History
+                  </h3>
+                  <p className="text-xs text-slate-500 mt-0.5">
+                    {historyLimit
+                      ? `${labelHistory.length} label(s) saved in this browser, newest ${historyLimit} kept`
+                      : 'Off: processed labels are not saved'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={historyLimit}
+                    onChange={(e) => handleHistoryLimitChange(Number(e.target.value))}
+                    className="text-sm rounded-lg border border-slate-300 bg-white px-2 py-1.5 text-slate-700"
+                    title="How many labels to keep"
+                  >
+                    {HISTORY_LIMITS.map(limit => (
+                      <option key={limit} value={limit}>{limit ? `Keep ${limit}` : 'Off'}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleClearHistory}
+                    disabled={labelHistory.length === 0}
+                    className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium border border-slate-300 text-slate-700 bg-white hover:bg-red-50 hover:text-red-600 hover:border-red-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Clear all</span>
+                  </button>
+                </div>
+              </div>
+
+              {labelHistory.length > 0 && (
+                <div className="px-4 sm:px-6 py-3 border-b border-slate-100">
+                  <div className="relative">
+                    <Search className="w-4 h-4 text-slate-400 absolute left-2.5 top-1/2 -translate-y-1/2" />
+                    <input
+                      type="search"
+                      value={historySearch}
+                      onChange={(e) => setHistorySearch(e.target.value)}
+                      placeholder="Search by file name, tracking number or carrier"
+                      className="w-full text-sm rounded-lg border border-slate-300 bg-white pl-8 pr-2 py-1.5 text-slate-700"
+                    />
+                  </div>
+                </div>
+              )}
+
+              {historyQuery && filteredHistory.length === 0 && (
+                <p className="px-4 sm:px-6 py-4 text-sm text-slate-400">No saved labels match "{historySearch.trim()}".</p>
+              )}
+
+              {filteredHistory.length > 0 && (
+                <ul className="divide-y divide-slate-100 max-h-[480px] overflow-y-auto">
+                  {filteredHistory.map(entry => (
+                    <li key={entry.id} className="flex items-center gap-3 px-4 sm:px-6 py-3">
+                      <div className="w-12 h-16 flex-shrink-0 bg-slate-100 rounded-md border border-slate-200 overflow-hidden">
+                        <img src={entry.image} alt={`${entry.fileName}, page ${entry.page}`} className="w-full h-full object-contain bg-white" />
+                      </div>
+
+                      <div className="flex-grow min-w-0">
+                        <p className="text-sm font-medium text-slate-900 truncate" title={entry.fileName}>
+                          {entry.fileName} · {resultTitle(entry)}
+                        </p>
+                        <p className="text-xs text-slate-400">
+                          {new Date(entry.createdAt).toLocaleString()} · {getLabelSize(entry.sizeId).name} at {entry.dpi} dpi
+                        </p>
+                        {entry.tracking && (
+                          <p className="text-xs text-slate-500 font-mono truncate" title={entry.tracking.trackingNumber}>
+                            {entry.tracking.carrier && <span className="font-sans font-medium text-slate-700">{entry.tracking.carrier} · </span>}
+                            {entry.tracking.trackingNumber}
+                          </p>
+                        )}
+                      </div>
+
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <button
+                          onClick={() => handlePrint([entry], historyStock(entry))}
+                          className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-900 transition-colors"
+                          title="Reprint"
+                        >
+                          <Printer className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDownloadPdf([entry], historyStock(entry))}
+                          disabled={exportingPdf}
+                          className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-900 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                          title="Download PDF"
+                        >
+                          <FileDown className="w-4 h-4" />
+                        </button>
+                        <a
+                          href={entry.image}
+                          download={labelFileName(entry, 'png', historyStock(entry))}
+                          className="p-2 rounded-lg text-indigo-600 hover:bg-indigo-100 transition-colors"
+                          title="Download"
+                        >
+                          <Download className="w-4 h-4" />
+                        </a>
+                        <button
+                          onClick={() => handleDeleteHistory(entry.id)}
+                          className="p-2 rounded-lg text-slate-400 hover:bg-red-50 hover:text-red-600 transition-colors"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
 
           </div>
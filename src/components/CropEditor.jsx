@@ -0,0 +1,186 @@
+import React, { useRef, useState } from 'react';
+
+// Handle positions: which edges each one moves
+const HANDLES = {
+  nw: { x: 0, y: 0, cursor: 'nwse-resize' },
+  n: { x: 0.5, y: 0, cursor: 'ns-resize' },
+  ne: { x: 1, y: 0, cursor: 'nesw-resize' },
+  e: { x: 1, y: 0.5, cursor: 'ew-resize' },
+  se: { x: 1, y: 1, cursor: 'nwse-resize' },
+  s: { x: 0.5, y: 1, cursor: 'ns-resize' },
+  sw: { x: 0, y: 1, cursor: 'nesw-resize' },
+  w: { x: 0, y: 0.5, cursor: 'ew-resize' }
+};
+
+const MIN_SIZE_RATIO = 0.02; // Smallest crop, as a fraction of the longer image side
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Draggable, resizable crop rectangle drawn over an image preview.
+ *
+ * The overlay is an SVG whose viewBox is the source image size, so with
+ * preserveAspectRatio "meet" it lines up exactly with an object-contain <img>
+ * underneath, and pointer positions map straight to source pixels.
+ * onChange is only called once a drag finishes. When the detector found the
+ * label's corners (quad), they are outlined until the user drags the box.
+ */
+const CropEditor = ({ width, height, rect, quad = null, otherRects = [], disabled = false, onChange }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  const current = draft || rect;
+  const handleSize = Math.max(width, height) * 0.025;
+  const minSize = Math.max(width, height) * MIN_SIZE_RATIO;
+
+  const toImagePoint = (e) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  const startDrag = (mode) => (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    e.stopPropagation();
+    svgRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = { mode, start: toImagePoint(e), origin: rect, next: rect };
+    setDraft(rect);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const point = toImagePoint(e);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    const { origin, mode } = drag;
+
+    let left = origin.x;
+    let top = origin.y;
+    let right = origin.x + origin.width;
+    let bottom = origin.y + origin.height;
+
+    if (mode === 'move') {
+      const x = clamp(left + dx, 0, width - origin.width);
+      const y = clamp(top + dy, 0, height - origin.height);
+      right = x + origin.width;
+      bottom = y + origin.height;
+      left = x;
+      top = y;
+    } else {
+      if (mode.includes('w')) left = clamp(left + dx, 0, right - minSize);
+      if (mode.includes('e')) right = clamp(right + dx, left + minSize, width);
+      if (mode.includes('n')) top = clamp(top + dy, 0, bottom - minSize);
+      if (mode.includes('s')) bottom = clamp(bottom + dy, top + minSize, height);
+    }
+
+    const next = {
+      x: Math.round(left),
+      y: Math.round(top),
+      width: Math.round(right - left),
+      height: Math.round(bottom - top)
+    };
+    drag.next = next;
+    setDraft(next);
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    dragRef.current = null;
+    setDraft(null);
+    const { origin, next } = drag;
+    if (next.x !== origin.x || next.y !== origin.y || next.width !== origin.width || next.height !== origin.height) {
+      onChange(next);
+    }
+  };
+
+  // The preview sits inside the upload <label>, so clicks are swallowed to
+  // keep a drag from opening the file picker
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="absolute inset-0 w-full h-full touch-none"
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onClick={(e) => e.preventDefault()}
+    >
+      {/* Dim everything outside the crop */}
+      <path
+        d={`M0 0H${width}V${height}H0Z M${current.x} ${current.y}v${current.height}h${current.width}v${-current.height}Z`}
+        fill="rgba(15, 23, 42, 0.45)"
+        fillRule="evenodd"
+      />
+
+      {/* Other labels found on the same page */}
+      {otherRects.map((r, i) => (
+        <rect
+          key={i}
+          x={r.x}
+          y={r.y}
+          width={r.width}
+          height={r.height}
+          fill="none"
+          stroke="white"
+          strokeWidth={1.5}
+          strokeDasharray="6 4"
+          vectorEffect="non-scaling-stroke"
+          pointerEvents="none"
+        />
+      ))}
+
+      {/* Detected corners used for perspective correction */}
+      {quad && !draft && (
+        <polygon
+          points={quad.map(p => `${p.x},${p.y}`).join(' ')}
+          fill="none"
+          stroke="#34d399"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+          pointerEvents="none"
+        />
+      )}
+
+      <rect
+        x={current.x}
+        y={current.y}
+        width={current.width}
+        height={current.height}
+        fill="transparent"
+        stroke="#6366f1"
+        strokeWidth={2}
+        vectorEffect="non-scaling-stroke"
+        style={{ cursor: disabled ? 'default' : 'move' }}
+        onPointerDown={startDrag('move')}
+      />
+
+      {!disabled && Object.entries(HANDLES).map(([mode, h]) => (
+        <rect
+          key={mode}
+          x={current.x + current.width * h.x - handleSize / 2}
+          y={current.y + current.height * h.y - handleSize / 2}
+          width={handleSize}
+          height={handleSize}
+          rx={handleSize / 5}
+          fill="white"
+          stroke="#6366f1"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+          style={{ cursor: h.cursor }}
+          onPointerDown={startDrag(mode)}
+        />
+      ))}
+    </svg>
+  );
+};
+
+export default CropEditor;
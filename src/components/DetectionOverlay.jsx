@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+
+// Outline colors; the legend under the preview uses the matching Tailwind
+// colors (slate-400, amber-500, emerald-500, sky-500, indigo-500)
+const DETECTION_COLORS = {
+  contour: '#94a3b8',
+  candidate: '#f59e0b',
+  chosen: '#10b981',
+  slip: '#0ea5e9',
+  crop: '#6366f1'
+};
+
+const KIND_NAMES = { label: 'Label', slip: 'Slip', other: 'Other' };
+
+const sameRect = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+/**
+ * Shows what the detector saw on the page: every contour, the candidates that
+ * passed the area and aspect filters with their kind and score, and the
+ * current crop.
+ * Clicking a candidate calls onPick(candidate) to crop to it instead.
+ *
+ * Like CropEditor, the SVG's viewBox is the source image size so it lines up
+ * with the object-contain preview underneath.
+ */
+const DetectionOverlay = ({ width, height, debug, rect, onPick }) => {
+  const [hovered, setHovered] = useState(null);
+  const fontSize = Math.max(width, height) * 0.018;
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="absolute inset-0 w-full h-full"
+      onClick={(e) => e.preventDefault()}
+    >
+      <rect width={width} height={height} fill="rgba(15, 23, 42, 0.35)" />
+
+      {/* Every contour, once traced; rejected ones are dashed */}
+      {debug.contours?.map((c, i) => (
+        <polygon
+          key={`contour-${i}`}
+          points={c.points.map(p => `${p.x},${p.y}`).join(' ')}
+          fill="none"
+          stroke={DETECTION_COLORS.contour}
+          strokeWidth={1}
+          strokeDasharray={c.rejected ? '4 3' : undefined}
+          vectorEffect="non-scaling-stroke"
+          pointerEvents="none"
+        />
+      ))}
+
+      {/* The current crop */}
+      <rect
+        x={rect.x}
+        y={rect.y}
+        width={rect.width}
+        height={rect.height}
+        fill="none"
+        stroke={DETECTION_COLORS.crop}
+        strokeWidth={3}
+        vectorEffect="non-scaling-stroke"
+        pointerEvents="none"
+      />
+
+      {/* Candidates, smallest last so nested ones stay clickable */}
+      {[...debug.candidates]
+        .sort((a, b) => b.rect.width * b.rect.height - a.rect.width * a.rect.height)
+        .map((candidate, i) => {
+          const { x, y, width: w, height: h } = candidate.rect;
+          const color = !candidate.chosen
+            ? DETECTION_COLORS.candidate
+            : candidate.kind === 'slip' ? DETECTION_COLORS.slip : DETECTION_COLORS.chosen;
+          const current = sameRect(candidate.rect, rect);
+          return (
+            <g
+              key={`candidate-${i}`}
+              className={current ? '' : 'cursor-pointer'}
+              onPointerEnter={() => setHovered(i)}
+              onPointerLeave={() => setHovered(null)}
+              onClick={(e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!current) onPick(candidate);
+              }}
+            >
+              <rect
+                x={x}
+                y={y}
+                width={w}
+                height={h}
+                fill={hovered === i && !current ? 'rgba(245, 158, 11, 0.2)' : 'transparent'}
+                stroke={color}
+                strokeWidth={2}
+                strokeDasharray={candidate.chosen ? undefined : '8 4'}
+                vectorEffect="non-scaling-stroke"
+              />
+              {candidate.quad && (
+                <polygon
+                  points={candidate.quad.points.map(p => `${p.x},${p.y}`).join(' ')}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth={1}
+                  vectorEffect="non-scaling-stroke"
+                  pointerEvents="none"
+                />
+              )}
+              <text
+                x={x + fontSize * 0.4}
+                y={y + fontSize * 1.2}
+                fontSize={fontSize}
+                fontWeight="600"
+                fill={color}
+                stroke="white"
+                strokeWidth={fontSize * 0.2}
+                paintOrder="stroke"
+                pointerEvents="none"
+              >
+                {KIND_NAMES[candidate.kind]} {Math.round(candidate.score * 100)}%
+              </text>
+            </g>
+          );
+        })}
+    </svg>
+  );
+};
+
+export default DetectionOverlay;
@@ -0,0 +1,682 @@
+import { layoutRect, matchTemplate } from './templates.js';
+import { detectOrientation, findBarcode } from './orientation.js';
+import { LABEL_SIZES } from './labelSizes.js';
+
+// --- Label detection and cropping ---
+// Pure OpenCV.js pipeline shared by the browser worker, the CLI and the tests.
+// Every function takes the OpenCV namespace and works on RGBA Mats or plain
+// { data, width, height } pixels, with no DOM, canvas or worker APIs. Imports
+// carry file extensions so Node can load this module directly.
+
+export const DEFAULT_CONFIG = {
+  // Output stock: 4x6 at 400 dpi
+  TARGET_WIDTH: 1600,
+  TARGET_HEIGHT: 2400,
+  FIT_MODE: 'fit', // fit, fill
+  // Relaxed filters for better local detection
+  MIN_AREA_RATIO: 0.01, // 1%
+  MAX_AREA_RATIO: 0.99, // 99%
+  // Width / height limits for a label contour
+  MIN_ASPECT: 0.2,
+  MAX_ASPECT: 4.0,
+  // With no label contour, the whole page is the label if it is this shape
+  FALLBACK_MIN_RATIO: 0.4,
+  FALLBACK_MAX_RATIO: 2.5,
+  // Kernel sizes in pixels: the blur smooths noise, the dilation joins a
+  // label's printed parts into one blob (odd sizes only)
+  BLUR_SIZE: 5,
+  DILATE_SIZE: 25,
+  // Detection runs on a copy of the page no larger than this (longest side);
+  // kernel sizes scale with it and the regions found are cropped from the full page
+  DETECT_MAX_SIZE: 2000,
+  // Additional labels on the same page must be at least this fraction of the largest one
+  MIN_RELATIVE_AREA: 0.5,
+  // Rotated-rectangle deskew is only trusted for small angles (scanner skew)
+  MAX_DESKEW_ANGLE: 15 // degrees
+};
+
+const noop = () => {};
+
+// Only the largest contours are kept for the debug view; noisy scans have thousands
+const MAX_DEBUG_CONTOURS = 300;
+
+const intersects = (a, b) => (
+  a.x < b.x + b.width && b.x < a.x + a.width &&
+  a.y < b.y + b.height && b.y < a.y + a.height
+);
+
+// Keeps the largest non-overlapping label-shaped candidates, in reading order
+const selectLabelRegions = (candidates, config) => {
+  const sorted = [...candidates].sort((a, b) => b.area - a.area);
+  const minArea = sorted[0].area * config.MIN_RELATIVE_AREA;
+  const picked = [];
+  for (const candidate of sorted) {
+    if (candidate.area < minArea) break;
+    if (picked.some(p => intersects(p.rect, candidate.rect))) continue;
+    picked.push(candidate);
+  }
+
+  // Reading order: rows top to bottom, then left to right. Two regions share
+  // a row when their vertical centres fall within each other's extent.
+  return picked.sort(({ rect: a }, { rect: b }) => {
+    const sameRow = (
+      a.y + a.height / 2 > b.y && a.y + a.height / 2 < b.y + b.height
+    ) || (
+      b.y + b.height / 2 > a.y && b.y + b.height / 2 < a.y + a.height
+    );
+    if (sameRow) return a.x - b.x;
+    return a.y - b.y;
+  });
+};
+
+// Orders four points as top-left, top-right, bottom-right, bottom-left
+const orderCorners = (points) => {
+  const bySum = [...points].sort((a, b) => (a.x + a.y) - (b.x + b.y));
+  const byDiff = [...points].sort((a, b) => (a.y - a.x) - (b.y - b.x));
+  return [bySum[0], byDiff[0], bySum[3], byDiff[3]];
+};
+
+// Finds the four corners of a label contour. A convex 4-sided polygon
+// approximation handles photos taken at an angle; otherwise a rotated
+// rectangle handles small scan skew. Returns null when the label is already
+// straight (or the skew is implausible), so the plain crop is used.
+const findLabelQuad = (cv, contour, rect, width, height, config) => {
+  let hull = new cv.Mat();
+  let approx = new cv.Mat();
+  let points = null;
+  let method = null;
+
+  try {
+    cv.convexHull(contour, hull, false, true);
+    cv.approxPolyDP(hull, approx, 0.02 * cv.arcLength(hull, true), true);
+
+    if (approx.rows === 4 && cv.isContourConvex(approx)) {
+      points = [];
+      for (let i = 0; i < 4; i++) {
+        points.push({ x: approx.data32S[i * 2], y: approx.data32S[i * 2 + 1] });
+      }
+      method = 'perspective';
+    } else {
+      const box = cv.minAreaRect(contour);
+      let skew = box.angle % 90;
+      if (skew > 45) skew -= 90;
+      if (skew < -45) skew += 90;
+      if (Math.abs(skew) > config.MAX_DESKEW_ANGLE) return null;
+      points = cv.RotatedRect.points(box).map(p => ({ x: p.x, y: p.y }));
+      method = 'deskew';
+    }
+  } finally {
+    hull.delete(); approx.delete();
+  }
+
+  const quad = orderCorners(points).map(p => ({
+    x: Math.min(Math.max(p.x, 0), width - 1),
+    y: Math.min(Math.max(p.y, 0), height - 1)
+  }));
+
+  // Skip the warp when every corner already sits on the bounding box
+  const tolerance = Math.max(2, 0.005 * Math.hypot(rect.width, rect.height));
+  const boxCorners = [
+    { x: rect.x, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y + rect.height },
+    { x: rect.x, y: rect.y + rect.height }
+  ];
+  const straight = quad.every((p, i) => Math.hypot(p.x - boxCorners[i].x, p.y - boxCorners[i].y) <= tolerance);
+  return straight ? null : { points: quad, method };
+};
+
+// Warps a four-corner region into a flat, straight rectangle
+const warpQuad = (cv, src, quad) => {
+  const [tl, tr, br, bl] = quad;
+  const width = Math.round(Math.max(Math.hypot(tr.x - tl.x, tr.y - tl.y), Math.hypot(br.x - bl.x, br.y - bl.y)));
+  const height = Math.round(Math.max(Math.hypot(bl.x - tl.x, bl.y - tl.y), Math.hypot(br.x - tr.x, br.y - tr.y)));
+
+  let srcPoints = cv.matFromArray(4, 1, cv.CV_32FC2, [tl.x, tl.y, tr.x, tr.y, br.x, br.y, bl.x, bl.y]);
+  let dstPoints = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, width - 1, 0, width - 1, height - 1, 0, height - 1]);
+  let matrix = null;
+  let warped = new cv.Mat();
+  try {
+    matrix = cv.getPerspectiveTransform(srcPoints, dstPoints);
+    cv.warpPerspective(src, warped, matrix, new cv.Size(width, height), cv.INTER_CUBIC, cv.BORDER_CONSTANT, new cv.Scalar(255, 255, 255, 255));
+    return warped;
+  } catch (err) {
+    warped.delete();
+    throw err;
+  } finally {
+    srcPoints.delete(); dstPoints.delete(); matrix?.delete();
+  }
+};
+
+// Scales a label onto the output stock without distorting it. 'fit' pads the
+// short sides with white, 'fill' trims the long sides; both stay centred.
+const resizeToLabel = (cv, roi, width, height, fit) => {
+  const scale = fit === 'fill'
+    ? Math.max(width / roi.cols, height / roi.rows)
+    : Math.min(width / roi.cols, height / roi.rows);
+  const scaledWidth = Math.max(1, Math.round(roi.cols * scale));
+  const scaledHeight = Math.max(1, Math.round(roi.rows * scale));
+
+  let scaled = new cv.Mat();
+  let final = new cv.Mat(height, width, roi.type(), new cv.Scalar(255, 255, 255, 255));
+  let source = null;
+  let target = null;
+  try {
+    cv.resize(roi, scaled, new cv.Size(scaledWidth, scaledHeight), 0, 0, cv.INTER_LANCZOS4);
+
+    // Copy the part of the centred, scaled label that lands on the stock
+    const x = Math.round((width - scaledWidth) / 2);
+    const y = Math.round((height - scaledHeight) / 2);
+    const fromX = Math.max(0, -x);
+    const fromY = Math.max(0, -y);
+    const toX = Math.max(0, x);
+    const toY = Math.max(0, y);
+    const copyWidth = Math.min(scaledWidth - fromX, width - toX);
+    const copyHeight = Math.min(scaledHeight - fromY, height - toY);
+
+    source = scaled.roi(new cv.Rect(fromX, fromY, copyWidth, copyHeight));
+    target = final.roi(new cv.Rect(toX, toY, copyWidth, copyHeight));
+    source.copyTo(target);
+    return final;
+  } catch (err) {
+    final.delete();
+    throw err;
+  } finally {
+    source?.delete(); target?.delete(); scaled.delete();
+  }
+};
+
+// Crops a template's region (by default the label's) down to the ink inside
+// it, with a small margin. A blank region is returned whole.
+const templateRegion = (cv, src, layout, part = layout.region) => {
+  const region = layoutRect(layout, src.cols, src.rows, part);
+  region.width = Math.min(region.width, src.cols - region.x);
+  region.height = Math.min(region.height, src.rows - region.y);
+
+  let roi = src.roi(new cv.Rect(region.x, region.y, region.width, region.height));
+  let gray = new cv.Mat();
+  let mask = new cv.Mat();
+
+  try {
+    cv.cvtColor(roi, gray, cv.COLOR_RGBA2GRAY, 0);
+    cv.threshold(gray, mask, 200, 255, cv.THRESH_BINARY_INV);
+    if (cv.countNonZero(mask) === 0) return { rect: region, quad: null };
+
+    // OpenCV.js has no findNonZero; boundingRect of a mask covers its set pixels
+    const ink = cv.boundingRect(mask);
+    const margin = Math.round(Math.min(region.width, region.height) * 0.01);
+    const x = Math.max(0, ink.x - margin);
+    const y = Math.max(0, ink.y - margin);
+    const rect = {
+      x: region.x + x,
+      y: region.y + y,
+      width: Math.min(region.width, ink.x + ink.width + margin) - x,
+      height: Math.min(region.height, ink.y + ink.height + margin) - y
+    };
+    return { rect, quad: null };
+  } finally {
+    roi.delete(); gray.delete(); mask.delete();
+  }
+};
+
+// --- Region classification ---
+// Marketplace pages put a packing slip or invoice beside the label. Regions are
+// told apart by a tracking barcode and, on PDFs, by the words inside them.
+// Images have no words, so a slip there needs a shape no label stock has and
+// the ruled rows of an item table.
+const LABEL_WORDS = [/\bTRACKING\b/i, /\bPOSTAGE\b/i, /PRIORITY MAIL/i, /GROUND ADVANTAGE/i, /\bUSPS\b/i, /\bUPS\b/, /\bFEDEX\b/i, /\bDHL\b/i, /\b1Z[0-9A-Z]{16}\b/];
+const SLIP_WORDS = [/PACKING (SLIP|LIST)/i, /\bINVOICE\b/i, /\bORDER (#|NO|NUMBER|ID|DATE)/i, /\bQTY\b|\bQUANTITY\b/i, /\bSKU\b/i, /\bSUBTOTAL\b/i, /\bUNIT PRICE\b/i, /THANK YOU/i];
+const CLASSIFY_SIZE = 800; // Longest side of the working copy, as for orientation
+// Label stock shapes (long side / short side), and how far off a label's outline may be
+const LABEL_ASPECTS = LABEL_SIZES.map(s => Math.max(s.width, s.height) / Math.min(s.width, s.height));
+const LABEL_ASPECT_TOLERANCE = 0.05;
+const MIN_TABLE_RULES = 3;
+
+// Long horizontal lines inside a greyscale region, away from its own border:
+// the rows of a table
+const countRules = (cv, gray) => {
+  let ink = new cv.Mat();
+  let lines = new cv.Mat();
+  let kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(Math.round(gray.cols * 0.6), 1));
+  let contours = new cv.MatVector();
+  let hierarchy = new cv.Mat();
+
+  try {
+    cv.threshold(gray, ink, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+    cv.morphologyEx(ink, lines, cv.MORPH_OPEN, kernel);
+    cv.findContours(lines, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+    const margin = gray.rows * 0.05;
+    let rules = 0;
+    for (let i = 0; i < contours.size(); i++) {
+      let c = contours.get(i);
+      try {
+        const { y, height } = cv.boundingRect(c);
+        if (y > margin && y + height < gray.rows - margin) rules++;
+      } finally {
+        c.delete();
+      }
+    }
+    return rules;
+  } finally {
+    ink.delete(); lines.delete(); kernel.delete(); contours.delete(); hierarchy.delete();
+  }
+};
+
+/**
+ * Describes one region for classification.
+ * @param words {{ text, x, y }[] | null} PDF text positioned in page pixels, null for images
+ * @returns {{ kind: 'label' | 'slip' | 'other', barcode: boolean, labelShaped: boolean, table: boolean }}
+ *   table is only looked for on images, in barcode-less regions no label is shaped like
+ */
+const classifyRegion = (cv, src, rect, words) => {
+  const aspect = Math.max(rect.width, rect.height) / Math.min(rect.width, rect.height);
+  const labelShaped = LABEL_ASPECTS.some(a => Math.abs(aspect - a) <= a * LABEL_ASPECT_TOLERANCE);
+
+  let roi = src.roi(new cv.Rect(rect.x, rect.y, rect.width, rect.height));
+  let gray = new cv.Mat();
+  let small = new cv.Mat();
+  let turned = new cv.Mat();
+
+  let barcode;
+  let table = false;
+  try {
+    cv.cvtColor(roi, gray, cv.COLOR_RGBA2GRAY, 0);
+    const scale = Math.min(1, CLASSIFY_SIZE / Math.max(gray.cols, gray.rows));
+    cv.resize(gray, small, new cv.Size(Math.round(gray.cols * scale), Math.round(gray.rows * scale)), 0, 0, cv.INTER_AREA);
+    // Labels can sit sideways on the page, with their barcode bars horizontal
+    cv.rotate(small, turned, cv.ROTATE_90_CLOCKWISE);
+    barcode = Boolean(findBarcode(cv, small) || findBarcode(cv, turned));
+    if (!words && !barcode && !labelShaped) {
+      table = Math.max(countRules(cv, small), countRules(cv, turned)) >= MIN_TABLE_RULES;
+    }
+  } finally {
+    roi.delete(); gray.delete(); small.delete(); turned.delete();
+  }
+
+  const text = words
+    ? words.filter(w => w.x >= rect.x && w.x <= rect.x + rect.width && w.y >= rect.y && w.y <= rect.y + rect.height)
+      .map(w => w.text).join(' ')
+    : '';
+  const hits = (patterns) => patterns.filter(pattern => pattern.test(text)).length;
+  const labelScore = (barcode ? 2 : 0) + Math.min(hits(LABEL_WORDS), 2);
+  const slipScore = Math.min(hits(SLIP_WORDS), 3) + (!barcode && !labelShaped ? 1 : 0);
+
+  let kind = 'other';
+  if (slipScore >= 2 && slipScore > labelScore) kind = 'slip';
+  else if (labelScore >= 1) kind = 'label';
+  return { kind, barcode, labelShaped, table };
+};
+
+// Simplified outline of a contour for the debug view
+const contourPoints = (cv, contour) => {
+  let approx = new cv.Mat();
+  try {
+    cv.approxPolyDP(contour, approx, 0.002 * cv.arcLength(contour, true), true);
+    const points = [];
+    for (let i = 0; i < approx.rows; i++) {
+      points.push({ x: approx.data32S[i * 2], y: approx.data32S[i * 2 + 1] });
+    }
+    return points;
+  } finally {
+    approx.delete();
+  }
+};
+
+// Contour-based detection for pages no template knows. Returns the chosen
+// label regions ([{ rect, quad }]), packing slip regions ([{ rect }]) and, for
+// the debug view, every candidate with its kind and score. With
+// `traceContours`, the largest contours are outlined too, with the filter that
+// rejected them; only those few are traced, as noisy scans have thousands.
+const detectLabels = (cv, src, config, log, words, traceContours) => {
+  let dst = new cv.Mat();
+  let gray = new cv.Mat();
+  let blur = new cv.Mat();
+  let thresh = new cv.Mat();
+  let ksize = new cv.Size(config.BLUR_SIZE, config.BLUR_SIZE);
+  let kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(config.DILATE_SIZE, config.DILATE_SIZE));
+  let contours = new cv.MatVector();
+  let hierarchy = new cv.Mat();
+
+  try {
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+    cv.GaussianBlur(gray, blur, ksize, 0, 0, cv.BORDER_DEFAULT);
+    cv.threshold(blur, thresh, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+    cv.dilate(thresh, dst, kernel);
+
+    // RETR_LIST finds everything (including inside borders)
+    cv.findContours(dst, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+    log(`Found ${contours.size()} potential contours.`);
+
+    let candidates = [];
+    let outlines = [];
+    const totalArea = src.cols * src.rows;
+
+    for (let i = 0; i < contours.size(); ++i) {
+      let c = contours.get(i);
+      try {
+        let rect = cv.boundingRect(c);
+        let area = rect.width * rect.height;
+        let ratio = rect.width / rect.height;
+
+        let rejected = null;
+        if (area < (totalArea * config.MIN_AREA_RATIO) || area > (totalArea * config.MAX_AREA_RATIO)) {
+          // Area Filter
+          rejected = 'area';
+        } else if (ratio < config.MIN_ASPECT || ratio > config.MAX_ASPECT) {
+          // Relaxed Aspect Ratio Filter
+          rejected = 'aspect';
+        }
+
+        outlines.push({ area, rect, rejected, index: i });
+        if (!rejected) candidates.push({ area, rect, contourIndex: i });
+      } finally {
+        c.delete();
+      }
+    }
+
+    // --- FALLBACK LOGIC ---
+    if (candidates.length === 0) {
+      log("No specific label contour found. Checking for fallback...");
+      const pageRatio = src.cols / src.rows;
+
+      // Check if page itself is roughly label-shaped
+      if (pageRatio > config.FALLBACK_MIN_RATIO && pageRatio < config.FALLBACK_MAX_RATIO) {
+        log("Fallback triggered: Using full image as label.");
+        candidates.push({ area: totalArea, rect: { x: 0, y: 0, width: src.cols, height: src.rows } });
+      } else {
+        throw new Error("No shipping label detected.");
+      }
+    }
+
+    // Candidates keep their corners too, so any of them can be picked as the crop
+    for (const candidate of candidates) {
+      const { x, y, width, height } = candidate.rect;
+      candidate.rect = { x, y, width, height };
+      candidate.quad = null;
+      if (candidate.contourIndex !== undefined) {
+        let contour = contours.get(candidate.contourIndex);
+        try {
+          candidate.quad = findLabelQuad(cv, contour, candidate.rect, src.cols, src.rows, config);
+        } finally {
+          contour.delete();
+        }
+      }
+    }
+
+    for (const candidate of candidates) {
+      Object.assign(candidate, classifyRegion(cv, src, candidate.rect, words));
+    }
+    // Without a text layer a missed barcode says little, so every region shaped
+    // like label stock stays a possible label. A slip is only recognised next
+    // to one: a ruled table in a region no label is shaped like, at least about
+    // as big as the label.
+    const maybeLabel = (c) => c.kind === 'label' || (!words && c.labelShaped);
+    const labelArea = Math.max(0, ...candidates.filter(maybeLabel).map(c => c.area));
+    if (!words && labelArea) {
+      for (const candidate of candidates) {
+        if (candidate.kind === 'other' && candidate.table && candidate.area >= labelArea * config.MIN_RELATIVE_AREA) {
+          candidate.kind = 'slip';
+        }
+      }
+    }
+
+    // Nothing looks like a label: fall back to every region that isn't a slip,
+    // as before classification existed
+    let labelPool = candidates.filter(maybeLabel);
+    if (!labelPool.length) labelPool = candidates.filter(c => c.kind !== 'slip');
+
+    const chosen = labelPool.length ? selectLabelRegions(labelPool, config) : [];
+    const slipPool = candidates.filter(c => c.kind === 'slip' && !chosen.some(l => intersects(l.rect, c.rect)));
+    const chosenSlips = slipPool.length ? selectLabelRegions(slipPool, config) : [];
+    log(`Target locked. ${chosen.length} label(s) found.`);
+    if (chosenSlips.length) log(`${chosenSlips.length} packing slip(s) found.`);
+
+    const regions = chosen.map(({ rect, quad }, index) => {
+      log(`Label ${index + 1}: cropping area ${Math.round(rect.width)}x${Math.round(rect.height)}`);
+      if (quad) {
+        log(quad.method === 'perspective'
+          ? "Four corners found. Correcting perspective..."
+          : "Skewed label found. Straightening...");
+      }
+      return { rect, quad };
+    });
+
+    // Selection ranks candidates of a kind by area, so the score is the area
+    // relative to the largest one of that kind; MIN_RELATIVE_AREA is the cut-off
+    const largest = (kind) => Math.max(...candidates.filter(c => c.kind === kind).map(c => c.area));
+    const debug = {
+      contours: traceContours
+        ? outlines
+          .sort((a, b) => b.area - a.area)
+          .slice(0, MAX_DEBUG_CONTOURS)
+          .map(({ rect, rejected, index }) => {
+            let contour = contours.get(index);
+            try {
+              return { rect, rejected, points: contourPoints(cv, contour) };
+            } finally {
+              contour.delete();
+            }
+          })
+        : null,
+      candidates: candidates.map(candidate => ({
+        rect: candidate.rect,
+        quad: candidate.quad,
+        kind: candidate.kind,
+        score: candidate.area / largest(candidate.kind),
+        chosen: chosen.includes(candidate) || chosenSlips.includes(candidate)
+      }))
+    };
+    return { regions, slips: chosenSlips.map(({ rect }) => ({ rect })), debug };
+  } finally {
+    dst.delete(); gray.delete(); blur.delete(); thresh.delete();
+    kernel.delete(); contours.delete(); hierarchy.delete();
+  }
+};
+
+// A known template's regions when one matches the PDF page, otherwise every
+// label-shaped contour, classified (see findLabels)
+const findRegions = (cv, src, config, page, log, debug) => {
+  const match = page ? matchTemplate(page) : null;
+  if (match) {
+    const { template, layout } = match;
+    log(`Template: ${template.name} (${layout.name}).`);
+    const region = templateRegion(cv, src, layout);
+    // The rest of a marketplace page holds the packing slip, or only instructions
+    const slips = [];
+    if (template.packingSlip && layout.rest) {
+      const rest = layoutRect(layout, src.cols, src.rows, layout.rest);
+      rest.height = Math.min(rest.height, src.rows - rest.y);
+      rest.width = Math.min(rest.width, src.cols - rest.x);
+      if (classifyRegion(cv, src, rest, page.words || []).kind === 'slip') {
+        slips.push({ rect: templateRegion(cv, src, layout, layout.rest).rect });
+        log("Packing slip found beside the label.");
+      }
+    }
+
+    const debug = {
+      contours: [],
+      candidates: [
+        { rect: region.rect, quad: null, kind: 'label', score: 1, chosen: true },
+        ...slips.map(({ rect }) => ({ rect, quad: null, kind: 'slip', score: 1, chosen: true }))
+      ]
+    };
+    return { template: template.id, regions: [{ rect: region.rect, quad: null }], slips, debug };
+  }
+  log("Template: none matched, using generic detection.");
+  return { template: null, ...detectLabels(cv, src, config, log, page?.words || null, debug) };
+};
+
+// Kernel sizes are in page pixels; the detection copy gets them scaled down, still odd
+const scaleKernels = (config, scale) => {
+  const kernel = (size) => Math.max(1, Math.round((size * scale - 1) / 2) * 2 + 1);
+  return { ...config, BLUR_SIZE: kernel(config.BLUR_SIZE), DILATE_SIZE: kernel(config.DILATE_SIZE) };
+};
+
+// Maps regions found on the detection copy onto the full page. `factor` is
+// full size / copy size; rectangles grow outwards so no edge is cut off.
+const scaleFound = (found, factor, width, height) => {
+  const point = ({ x, y }) => ({
+    x: Math.min(width - 1, Math.round(x * factor)),
+    y: Math.min(height - 1, Math.round(y * factor))
+  });
+  const rect = (r) => {
+    const x = Math.max(0, Math.floor(r.x * factor));
+    const y = Math.max(0, Math.floor(r.y * factor));
+    return {
+      x,
+      y,
+      width: Math.min(width, Math.ceil((r.x + r.width) * factor)) - x,
+      height: Math.min(height, Math.ceil((r.y + r.height) * factor)) - y
+    };
+  };
+  const region = (r) => ({ ...r, rect: rect(r.rect), quad: r.quad ? { ...r.quad, points: r.quad.points.map(point) } : null });
+  return {
+    template: found.template,
+    regions: found.regions.map(region),
+    slips: found.slips.map(slip => ({ ...slip, rect: rect(slip.rect) })),
+    debug: {
+      contours: found.debug.contours?.map(c => ({ ...c, rect: rect(c.rect), points: c.points.map(point) })) ?? null,
+      candidates: found.debug.candidates.map(region)
+    }
+  };
+};
+
+/**
+ * Finds the labels on a page, and any packing slip beside them: a known
+ * template's regions when one matches the PDF page, otherwise every
+ * label-shaped contour, classified. Pages larger than DETECT_MAX_SIZE are
+ * searched on a scaled-down copy; everything returned is in page pixels.
+ * @param cv OpenCV.js namespace
+ * @param src RGBA Mat of the page
+ * @param options.page {{ width, height, text, words }} PDF page size in inches, text and
+ *   positioned words, if any
+ * @param options.debug {boolean} trace contour outlines for the debug view
+ * @returns {{ template: string | null, regions: { rect, quad }[], slips: { rect }[], debug }}
+ *   debug holds { contours: { rect, rejected, points }[] | null, candidates: { rect, quad, kind, score, chosen }[] },
+ *   where rejected is 'area', 'aspect' or null, kind is 'label', 'slip' or 'other' and score is 0-1.
+ *   contours is null unless options.debug was set, and empty for template matches.
+ */
+export const findLabels = (cv, src, config, { page = null, log = noop, debug = false } = {}) => {
+  const started = performance.now();
+  const scale = Math.min(1, config.DETECT_MAX_SIZE / Math.max(src.cols, src.rows));
+  if (scale === 1) {
+    const found = findRegions(cv, src, config, page, log, debug);
+    log(`Detection took ${Math.round(performance.now() - started)} ms at ${src.cols}x${src.rows}.`);
+    return found;
+  }
+
+  let small = new cv.Mat();
+  try {
+    cv.resize(src, small, new cv.Size(Math.round(src.cols * scale), Math.round(src.rows * scale)), 0, 0, cv.INTER_AREA);
+    const words = page?.words?.map(w => ({ ...w, x: w.x * scale, y: w.y * scale }));
+    const found = findRegions(cv, small, scaleKernels(config, scale), page && { ...page, words }, log, debug);
+    log(`Detection took ${Math.round(performance.now() - started)} ms at ${small.cols}x${small.rows} (page ${src.cols}x${src.rows}).`);
+    return scaleFound(found, src.cols / small.cols, src.cols, src.rows);
+  } finally {
+    small.delete();
+  }
+};
+
+// Plain crop of a packing slip at the page's resolution
+export const cropSlip = (cv, src, { rect }) => {
+  let roi = src.roi(new cv.Rect(rect.x, rect.y, rect.width, rect.height));
+  try {
+    return matToPixels(cv, roi);
+  } finally {
+    roi.delete();
+  }
+};
+
+/**
+ * Crops (or perspective-warps) one region, turns it upright and scales it onto
+ * the output stock.
+ * @param options.turn extra clockwise turn chosen by the user, on top of the detected one
+ * @returns {{ mat, rotation: number, confidence: number }} mat is RGBA and must
+ *   be deleted by the caller; rotation is the clockwise turn that was applied
+ */
+export const cropLabel = (cv, src, { rect, quad }, config, { turn = 0, log = noop } = {}) => {
+  let roi = quad
+    ? warpQuad(cv, src, quad.points)
+    : src.roi(new cv.Rect(rect.x, rect.y, rect.width, rect.height));
+
+  try {
+    let { rotation, confidence } = detectOrientation(cv, roi);
+    // Landscape stock takes the upright label a quarter turn counter-clockwise
+    if (config.TARGET_WIDTH > config.TARGET_HEIGHT) rotation = (rotation + 270) % 360;
+    log(`Orientation: ${rotation}° (confidence ${Math.round(confidence * 100)}%).`);
+    if (turn) {
+      rotation = (((rotation + turn) % 360) + 360) % 360;
+      log(`Turned by hand to ${rotation}°.`);
+    }
+    if (rotation) {
+      const rotateCodes = {
+        90: cv.ROTATE_90_CLOCKWISE,
+        180: cv.ROTATE_180,
+        270: cv.ROTATE_90_COUNTERCLOCKWISE
+      };
+      let rotated = new cv.Mat();
+      try {
+        cv.rotate(roi, rotated, rotateCodes[rotation]);
+      } catch (err) {
+        rotated.delete();
+        throw err;
+      }
+      roi.delete();
+      roi = rotated;
+    }
+
+    const mat = resizeToLabel(cv, roi, config.TARGET_WIDTH, config.TARGET_HEIGHT, config.FIT_MODE);
+    return { mat, rotation, confidence };
+  } finally {
+    roi.delete();
+  }
+};
+
+// RGBA (or grey/RGB) Mat -> plain { data, width, height } pixels
+export const matToPixels = (cv, mat) => {
+  let rgba = new cv.Mat();
+  try {
+    if (mat.channels() === 4) {
+      mat.copyTo(rgba);
+    } else {
+      cv.cvtColor(mat, rgba, mat.channels() === 1 ? cv.COLOR_GRAY2RGBA : cv.COLOR_RGB2RGBA);
+    }
+    return { data: new Uint8ClampedArray(rgba.data), width: rgba.cols, height: rgba.rows };
+  } finally {
+    rgba.delete();
+  }
+};
+
+/**
+ * Whole pipeline on one page of pixels.
+ * @param pixels {{ data, width, height }} RGBA, e.g. ImageData
+ * @param options as for findLabels
+ * @returns {{ width, height, template, labels: { rect, quad, rotation, confidence, pixels }[],
+ *   slips: { rect, pixels }[], debug }}
+ */
+export const extractLabels = (cv, pixels, config = DEFAULT_CONFIG, { page = null, log = noop, debug = false } = {}) => {
+  let src = cv.matFromImageData(pixels);
+  try {
+    const found = findLabels(cv, src, config, { page, log, debug });
+    const { template, regions, slips } = found;
+    const labels = regions.map(region => {
+      const { mat, rotation, confidence } = cropLabel(cv, src, region, config, { log });
+      try {
+        return { ...region, rotation, confidence, pixels: matToPixels(cv, mat) };
+      } finally {
+        mat.delete();
+      }
+    });
+    return {
+      width: src.cols,
+      height: src.rows,
+      template,
+      labels,
+      slips: slips.map(slip => ({ ...slip, pixels: cropSlip(cv, src, slip) })),
+      debug: found.debug
+    };
+  } finally {
+    src.delete();
+  }
+};
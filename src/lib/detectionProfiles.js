@@ -0,0 +1,88 @@
+import { DEFAULT_CONFIG } from './detection.js';
+
+// --- Detection profiles: named sets of the detector's tuning values ---
+// Carrier PDFs, scans and photos need different filters, so each kind of
+// input can get its own profile. Profiles are kept in localStorage as
+// { activeId, profiles: [{ id, name, builtIn, settings }] }; built-in ones can
+// be tuned and reset, custom ones can also be deleted.
+
+const STORAGE_KEY = 'cropThisLabel.detectionProfiles';
+
+// The values the settings panel exposes, with their input limits. `atMost` and
+// `atLeast` name the other end of a range: an inverted range rejects every contour.
+export const DETECTION_SETTINGS = [
+  { key: 'MIN_AREA_RATIO', name: 'Min area', hint: 'Smallest label, as a fraction of the page', min: 0.001, max: 0.5, step: 0.005, atMost: 'MAX_AREA_RATIO' },
+  { key: 'MAX_AREA_RATIO', name: 'Max area', hint: 'Largest label, as a fraction of the page', min: 0.1, max: 1, step: 0.01, atLeast: 'MIN_AREA_RATIO' },
+  { key: 'BLUR_SIZE', name: 'Blur kernel', hint: 'Gaussian blur size in pixels (odd)', min: 1, max: 31, step: 2, odd: true },
+  { key: 'DILATE_SIZE', name: 'Dilation kernel', hint: 'How far apart printed parts can be and still join up, in pixels (odd)', min: 1, max: 151, step: 2, odd: true },
+  { key: 'MIN_ASPECT', name: 'Min aspect', hint: 'Narrowest label, width / height', min: 0.05, max: 1, step: 0.05, atMost: 'MAX_ASPECT' },
+  { key: 'MAX_ASPECT', name: 'Max aspect', hint: 'Widest label, width / height', min: 1, max: 20, step: 0.5, atLeast: 'MIN_ASPECT' },
+  { key: 'FALLBACK_MIN_RATIO', name: 'Fallback min ratio', hint: 'With no label found, the page itself is used when at least this wide', min: 0.05, max: 1, step: 0.05, atMost: 'FALLBACK_MAX_RATIO' },
+  { key: 'FALLBACK_MAX_RATIO', name: 'Fallback max ratio', hint: '...and at most this wide', min: 1, max: 20, step: 0.5, atLeast: 'FALLBACK_MIN_RATIO' }
+];
+
+// A setting's limits given the other settings, so a minimum can't pass its maximum
+export const settingLimits = ({ min, max, atLeast, atMost }, settings) => ({
+  min: atLeast ? Math.max(min, settings[atLeast]) : min,
+  max: atMost ? Math.min(max, settings[atMost]) : max
+});
+
+const DEFAULT_SETTINGS = Object.fromEntries(DETECTION_SETTINGS.map(({ key }) => [key, DEFAULT_CONFIG[key]]));
+
+export const BUILT_IN_PROFILES = [
+  { id: 'carrier-pdf', name: 'Carrier PDFs', builtIn: true, settings: DEFAULT_SETTINGS },
+  // Scans: paper texture and toner noise need more blur, and labels fill more of the page
+  {
+    id: 'scanned',
+    name: 'Scanned labels',
+    builtIn: true,
+    settings: { ...DEFAULT_SETTINGS, MIN_AREA_RATIO: 0.05, BLUR_SIZE: 9, DILATE_SIZE: 35 }
+  },
+  // Photos: the label is large but the background is busy, so keep blobs apart
+  {
+    id: 'photo',
+    name: 'Phone photos',
+    builtIn: true,
+    settings: { ...DEFAULT_SETTINGS, MIN_AREA_RATIO: 0.1, BLUR_SIZE: 7, DILATE_SIZE: 15, MIN_ASPECT: 0.3, MAX_ASPECT: 3 }
+  }
+];
+
+// Clamps every value to its limits and rounds kernel sizes to odd numbers;
+// missing or invalid values fall back to the defaults. The minimum of an
+// inverted range is lowered to its maximum.
+export const sanitizeSettings = (settings = {}) => {
+  const clamped = Object.fromEntries(DETECTION_SETTINGS.map(({ key, min, max, odd }) => {
+    let value = Number(settings[key]);
+    if (!Number.isFinite(value)) value = DEFAULT_SETTINGS[key];
+    value = Math.min(max, Math.max(min, value));
+    if (odd) value = Math.round((value - 1) / 2) * 2 + 1;
+    return [key, value];
+  }));
+  for (const { key, atMost } of DETECTION_SETTINGS) {
+    if (atMost) clamped[key] = Math.min(clamped[key], clamped[atMost]);
+  }
+  return clamped;
+};
+
+export const loadProfiles = () => {
+  const builtIns = { activeId: BUILT_IN_PROFILES[0].id, profiles: BUILT_IN_PROFILES };
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored?.profiles?.length) return builtIns;
+    // Built-ins added in later versions show up next to the saved ones
+    const missing = BUILT_IN_PROFILES.filter(b => !stored.profiles.some(p => p.id === b.id));
+    const profiles = [...missing, ...stored.profiles].map(p => ({ ...p, settings: sanitizeSettings(p.settings) }));
+    const activeId = profiles.some(p => p.id === stored.activeId) ? stored.activeId : profiles[0].id;
+    return { activeId, profiles };
+  } catch {
+    return builtIns;
+  }
+};
+
+export const saveProfiles = (state) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+export const activeProfile = (state) => state.profiles.find(p => p.id === state.activeId) || state.profiles[0];
+
+export const builtInSettings = (id) => BUILT_IN_PROFILES.find(p => p.id === id)?.settings || DEFAULT_SETTINGS;
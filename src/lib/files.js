@@ -0,0 +1,52 @@
+import JSZip from 'jszip';
+
+// --- Helpers for turning processed labels into downloadable files ---
+
+export const baseName = (fileName) => fileName.replace(/\.[^./\\]+$/, '');
+
+// Tokens available in file name patterns, e.g. "{carrier}_{tracking}"
+export const FILE_NAME_TOKENS = ['tracking', 'carrier', 'file', 'page', 'label', 'size', 'dpi', 'date'];
+
+// Fills {token} placeholders and makes the result safe to use as a file name.
+// Missing values leave nothing behind, not even a stray separator.
+export const formatFileName = (pattern, values) => {
+  const name = pattern.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key] ?? '') : token));
+  return name
+    .replace(/[\\/:*?"<>|\s]+/g, '_')
+    .replace(/([_.-])[_.-]+/g, '$1')
+    .replace(/^[_.-]+|[_.-]+$/g, '');
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Builds a ZIP archive in memory; entries are { name, dataUrl }.
+// Duplicate names get a numeric suffix so no label is overwritten.
+export const createZip = async (entries) => {
+  const zip = new JSZip();
+  const used = new Set();
+
+  for (const entry of entries) {
+    let name = entry.name;
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let n = 2; used.has(name); n++) {
+      name = `${stem}_${n}${ext}`;
+    }
+    used.add(name);
+    zip.file(name, entry.dataUrl.slice(entry.dataUrl.indexOf(',') + 1), { base64: true });
+  }
+
+  // PNGs are already compressed, so storing them keeps the ZIP fast to build
+  return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+};
@@ -0,0 +1,99 @@
+// --- Input formats and the decoders browsers lack ---
+// PDFs go to pdf.js. PNG, JPEG, WebP, GIF and BMP are decoded by the browser
+// (GIF as its first frame). TIFF (every frame, as pages) and HEIC are decoded
+// here in JavaScript/WebAssembly, so they work in every browser. Formats are
+// recognised by their first bytes, since HEIC and TIFF files often arrive
+// with no MIME type.
+
+export const INPUT_FORMATS = [
+  { id: 'pdf', name: 'PDF', extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+  { id: 'png', name: 'PNG', extensions: ['.png'], mimeTypes: ['image/png'] },
+  { id: 'jpeg', name: 'JPEG', extensions: ['.jpg', '.jpeg'], mimeTypes: ['image/jpeg'] },
+  { id: 'webp', name: 'WebP', extensions: ['.webp'], mimeTypes: ['image/webp'] },
+  { id: 'gif', name: 'GIF', extensions: ['.gif'], mimeTypes: ['image/gif'] },
+  { id: 'bmp', name: 'BMP', extensions: ['.bmp'], mimeTypes: ['image/bmp'] },
+  { id: 'tiff', name: 'TIFF', extensions: ['.tif', '.tiff'], mimeTypes: ['image/tiff'] },
+  { id: 'heic', name: 'HEIC', extensions: ['.heic', '.heif'], mimeTypes: ['image/heic', 'image/heif'] }
+];
+
+// "PDF, PNG, JPEG, WebP, GIF, BMP, TIFF and HEIC"
+export const SUPPORTED_FORMATS_TEXT = `${INPUT_FORMATS.slice(0, -1).map(f => f.name).join(', ')} and ${INPUT_FORMATS.at(-1).name}`;
+
+// For <input accept>
+export const ACCEPTED_FILES = INPUT_FORMATS.flatMap(f => [...f.extensions, ...f.mimeTypes]).join(',');
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+// Format id from a file's first 16 bytes, or null
+export const sniffFormat = (bytes) => {
+  if (ascii(bytes, 0, 5) === '%PDF-') return 'pdf';
+  if (bytes[0] === 0x89 && ascii(bytes, 1, 4) === 'PNG') return 'png';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP') return 'webp';
+  if (ascii(bytes, 0, 4) === 'GIF8') return 'gif';
+  if (ascii(bytes, 0, 2) === 'BM') return 'bmp';
+  if (ascii(bytes, 0, 4) === 'II*\0' || ascii(bytes, 0, 4) === 'MM\0*') return 'tiff';
+  if (ascii(bytes, 4, 8) === 'ftyp' && HEIC_BRANDS.includes(ascii(bytes, 8, 12))) return 'heic';
+  return null;
+};
+
+/**
+ * Works out a file's format from its content, falling back to its name and
+ * MIME type.
+ * @param file {File|Blob}
+ * @returns {Promise<string|null>} an INPUT_FORMATS id, or null when unsupported
+ */
+export const detectFormat = async (file) => {
+  const head = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+  const sniffed = sniffFormat(head);
+  if (sniffed) return sniffed;
+  const name = (file.name || '').toLowerCase();
+  const format = INPUT_FORMATS.find(f => f.mimeTypes.includes(file.type) || f.extensions.some(ext => name.endsWith(ext)));
+  return format ? format.id : null;
+};
+
+// The decoders below take their library from the caller, which loads it only
+// when a file needs it; together they are close to 1.5 MB.
+
+// TIFF: one page per image in the file. Thumbnails and other reduced-resolution
+// images (NewSubfileType bit 0) are skipped. Frames are decoded on demand.
+// `UTIF` is the utif module.
+export const openTiff = (UTIF, bytes) => {
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const ifds = UTIF.decode(buffer).filter(ifd => ifd.t256 && !(ifd.t254?.[0] & 1));
+  if (!ifds.length) throw new Error("The TIFF file contains no images.");
+  return {
+    pageCount: ifds.length,
+    decode: (index) => {
+      const ifd = ifds[index];
+      UTIF.decodeImage(buffer, ifd, ifds);
+      const data = new Uint8ClampedArray(UTIF.toRGBA8(ifd).buffer);
+      return { data, width: ifd.width, height: ifd.height };
+    }
+  };
+};
+
+// HEIC: one page per top-level image (phones store one, bursts several).
+// `libheif` is an initialized libheif-js module.
+export const openHeic = (libheif, bytes) => {
+  const images = new libheif.HeifDecoder().decode(bytes);
+  if (!images.length) throw new Error("The HEIC file contains no images.");
+  return {
+    pageCount: images.length,
+    decode: (index) => new Promise((resolve, reject) => {
+      const image = images[index];
+      const width = image.get_width();
+      const height = image.get_height();
+      image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, (pixels) => {
+        if (pixels) {
+          resolve({ data: pixels.data, width, height });
+        } else {
+          reject(new Error("Could not decode the HEIC image."));
+        }
+      });
+    }),
+    close: () => images.forEach(image => image.free())
+  };
+};
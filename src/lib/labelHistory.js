@@ -0,0 +1,80 @@
+// --- Label history: processed labels kept in IndexedDB for reprinting ---
+// Entries never leave the browser. Each one holds the label image with what
+// made it: { id, createdAt, fileName, page, label, rect, quad, rotation,
+// tracking, sizeId, dpi, fit, thermal, image }. Only the newest `limit`
+// entries are kept.
+
+const DB_NAME = 'crop-this-label';
+const DB_VERSION = 1;
+const STORE = 'labels';
+
+// How many labels to keep; 0 turns the history off
+export const HISTORY_LIMITS = [0, 25, 50, 100, 250];
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allows storage
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Runs `work` on the store in one transaction and resolves with its return
+// value once the transaction has committed
+const withStore = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    let value;
+    Promise.resolve(work(tx.objectStore(STORE))).then(v => { value = v; }, reject);
+    tx.oncomplete = () => resolve(value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History update was aborted."));
+  });
+};
+
+const result = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Newest first
+export const listHistory = () => withStore('readonly', async (store) => {
+  const entries = await result(store.index('createdAt').getAll());
+  return entries.reverse();
+});
+
+// Deletes the oldest entries beyond `limit`. Returns the ids removed.
+const prune = async (store, limit) => {
+  const ids = await result(store.index('createdAt').getAllKeys());
+  const removed = ids.slice(0, Math.max(0, ids.length - limit));
+  removed.forEach(id => store.delete(id));
+  return removed;
+};
+
+/**
+ * Adds an entry, or replaces the one with the same id, then trims the history
+ * to `limit`.
+ * @returns {Promise<string[]>} ids of the entries that were pruned
+ */
+export const saveHistoryEntry = (entry, limit) => withStore('readwrite', async (store) => {
+  await result(store.put(entry));
+  return prune(store, limit);
+});
+
+export const pruneHistory = (limit) => withStore('readwrite', store => prune(store, limit));
+
+export const deleteHistoryEntry = (id) => withStore('readwrite', store => result(store.delete(id)));
+
+export const clearHistory = () => withStore('readwrite', store => result(store.clear()));
@@ -0,0 +1,48 @@
+// --- Output label stock: physical sizes and printer resolutions ---
+// Sizes are in inches (A6 is converted from millimetres). `css` is the same
+// size for print @page rules and `slug` is used in export filenames.
+
+const MM_PER_INCH = 25.4;
+
+export const LABEL_SIZES = [
+  { id: '4x6', name: '4 x 6 in', width: 4, height: 6, css: '4in 6in', slug: '4x6' },
+  { id: '4x4', name: '4 x 4 in', width: 4, height: 4, css: '4in 4in', slug: '4x4' },
+  { id: '4x8', name: '4 x 8 in', width: 4, height: 8, css: '4in 8in', slug: '4x8' },
+  { id: 'a6', name: 'A6 (105 x 148 mm)', width: 105 / MM_PER_INCH, height: 148 / MM_PER_INCH, css: '105mm 148mm', slug: 'A6' },
+  { id: '2.25x1.25', name: '2.25 x 1.25 in', width: 2.25, height: 1.25, css: '2.25in 1.25in', slug: '2.25x1.25' }
+];
+
+export const LABEL_DPI_OPTIONS = [203, 300, 400];
+
+// fit: the whole label is visible, padded with white on two sides.
+// fill: the label covers the stock, trimmed on two sides.
+export const FIT_MODES = [
+  { id: 'fit', name: 'Fit' },
+  { id: 'fill', name: 'Fill' }
+];
+
+// Optional 1-bit output for direct-thermal printers
+export const THERMAL_MODES = [
+  { id: 'off', name: 'Color' },
+  { id: 'adaptive', name: 'Thermal (threshold)' },
+  { id: 'dither', name: 'Thermal (dithered)' }
+];
+
+// Paper for packing slips: half a Letter or A4 sheet, printed landscape or
+// portrait to suit the slip
+export const SLIP_PAPERS = [
+  { id: 'letter-half', name: 'Half Letter (8.5 x 5.5 in)', width: 8.5, height: 5.5, slug: 'half-letter' },
+  { id: 'a4-half', name: 'Half A4 (210 x 148 mm)', width: 210 / MM_PER_INCH, height: 148 / MM_PER_INCH, slug: 'half-A4' }
+];
+
+export const getSlipPaper = (id) => SLIP_PAPERS.find(p => p.id === id) || SLIP_PAPERS[0];
+
+export const DEFAULT_OUTPUT = { sizeId: '4x6', dpi: 400, fit: 'fit', thermal: 'off' };
+
+export const getLabelSize = (id) => LABEL_SIZES.find(s => s.id === id) || LABEL_SIZES[0];
+
+// Output image size in pixels for a size at a given resolution
+export const labelPixels = (size, dpi) => ({
+  width: Math.round(size.width * dpi),
+  height: Math.round(size.height * dpi)
+});
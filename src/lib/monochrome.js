@@ -0,0 +1,113 @@
+// --- 1-bit conversion for thermal printers ---
+// Works on ImageData-like objects ({ data, width, height }) so it can run on
+// any canvas. Returns a Uint8Array with one entry per pixel: 1 = black, 0 = white.
+
+// Luminance of an RGBA pixel composited onto white paper
+const luminanceAt = (data, i) => {
+  const alpha = data[i + 3] / 255;
+  const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  return 255 - alpha * (255 - lum);
+};
+
+export const toGrayscale = ({ data, width, height }) => {
+  const gray = new Float32Array(width * height);
+  for (let p = 0; p < gray.length; p++) {
+    gray[p] = luminanceAt(data, p * 4);
+  }
+  return gray;
+};
+
+export const threshold = (imageData, level = 128) => {
+  const gray = toGrayscale(imageData);
+  const bits = new Uint8Array(gray.length);
+  for (let p = 0; p < gray.length; p++) {
+    bits[p] = gray[p] < level ? 1 : 0;
+  }
+  return bits;
+};
+
+// Floyd-Steinberg error diffusion
+export const ditherFloydSteinberg = (imageData, level = 128) => {
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+  const bits = new Uint8Array(gray.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const old = gray[p];
+      const black = old < level;
+      bits[p] = black ? 1 : 0;
+
+      const err = old - (black ? 0 : 255);
+      if (x + 1 < width) gray[p + 1] += err * 7 / 16;
+      if (y + 1 < height) {
+        if (x > 0) gray[p + width - 1] += err * 3 / 16;
+        gray[p + width] += err * 5 / 16;
+        if (x + 1 < width) gray[p + width + 1] += err * 1 / 16;
+      }
+    }
+  }
+  return bits;
+};
+
+// Compares each pixel with the mean of the blockSize x blockSize square around
+// it, so uneven lighting in photos and scans doesn't swallow text. `offset`
+// keeps flat paper from turning into noise, and anything darker than `dark`
+// stays black so large solid areas aren't hollowed out.
+export const adaptiveThreshold = (imageData, { blockSize = 31, offset = 12, dark = 80 } = {}) => {
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+
+  // Summed-area table, one row and column larger than the image
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.floor(blockSize / 2);
+  const bits = new Uint8Array(gray.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const total = sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0];
+      const mean = total / ((x1 - x0) * (y1 - y0));
+      const value = gray[y * width + x];
+      bits[y * width + x] = value < dark || value < mean - offset ? 1 : 0;
+    }
+  }
+  return bits;
+};
+
+// Flips pixels that have at most maxSame neighbours (of 8) of their own
+// color: isolated black dots from dust and white pinholes in solid bars.
+export const despeckle = (bits, width, height, maxSame = 1) => {
+  const out = bits.slice();
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      let same = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && bits[p + dy * width + dx] === bits[p]) same++;
+        }
+      }
+      if (same <= maxSame) out[p] = bits[p] ? 0 : 1;
+    }
+  }
+  return out;
+};
+
+export const toMonochrome = (imageData, { mode = 'threshold', level = 128 } = {}) => {
+  if (mode === 'dither') return ditherFloydSteinberg(imageData, level);
+  if (mode === 'adaptive') return adaptiveThreshold(imageData);
+  return threshold(imageData, level);
+};
@@ -0,0 +1,162 @@
+// --- Content-based label orientation (0 / 90 / 180 / 270 degrees) ---
+// The aspect ratio decides between portrait (0/180) and landscape (90/270).
+// Which way up is then decided from two cues on the portrait view:
+//   1. Barcode position: carrier tracking barcodes sit in the lower half.
+//   2. Text lines: Latin text has more ascenders (b, d, h, k, l, capitals)
+//      than descenders (g, j, p, q, y), so ink leans to the top of each line.
+// Each cue scores -1 (upside down) to 1 (upright), 0 meaning no evidence.
+
+const ANALYSIS_SIZE = 800; // Longest side of the working copy, in pixels
+const BARCODE_WEIGHT = 0.65;
+const TEXT_WEIGHT = 0.35;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Finds the largest 1D barcode (strong horizontal gradient, weak vertical
+ * gradient) in a greyscale Mat. Specks are ignored: a tracking barcode covers
+ * a good part of a label.
+ * @returns {{ x, y, width, height } | null}
+ */
+export const findBarcode = (cv, gray) => {
+  let gradX = new cv.Mat();
+  let gradY = new cv.Mat();
+  let gradient = new cv.Mat();
+  let mask = new cv.Mat();
+  let closeKernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(21, 7));
+  let defaultKernel = new cv.Mat();
+  let contours = new cv.MatVector();
+  let hierarchy = new cv.Mat();
+
+  try {
+    cv.Sobel(gray, gradX, cv.CV_32F, 1, 0, -1);
+    cv.Sobel(gray, gradY, cv.CV_32F, 0, 1, -1);
+    cv.convertScaleAbs(gradX, gradX);
+    cv.convertScaleAbs(gradY, gradY);
+    cv.subtract(gradX, gradY, gradient);
+
+    cv.blur(gradient, mask, new cv.Size(9, 9));
+    cv.threshold(mask, mask, 200, 255, cv.THRESH_BINARY);
+    cv.morphologyEx(mask, mask, cv.MORPH_CLOSE, closeKernel);
+    cv.erode(mask, mask, defaultKernel, new cv.Point(-1, -1), 4);
+    cv.dilate(mask, mask, defaultKernel, new cv.Point(-1, -1), 4);
+
+    cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    let best = null;
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const rect = cv.boundingRect(contour);
+      contour.delete();
+      const area = rect.width * rect.height;
+      if (!best || area > best.area) best = { area, rect };
+    }
+
+    if (!best || best.area < gray.cols * gray.rows * 0.02) return null;
+    return best.rect;
+  } finally {
+    gradX.delete(); gradY.delete(); gradient.delete(); mask.delete();
+    closeKernel.delete(); defaultKernel.delete(); contours.delete(); hierarchy.delete();
+  }
+};
+
+// Scores how far below the middle the barcode's centre sits
+const barcodeScore = (cv, gray) => {
+  const barcode = findBarcode(cv, gray);
+  if (!barcode) return 0;
+
+  const centerY = (barcode.y + barcode.height / 2) / gray.rows;
+  return clamp((centerY - 0.5) * 4, -1, 1);
+};
+
+// Compares ink above and below the core (x-height) band of every text line.
+// The label is split into vertical strips so side-by-side address blocks
+// with different baselines don't blur each other's profiles.
+const textScore = (binary, width, height) => {
+  const STRIPS = 4;
+  const minLine = Math.max(4, Math.round(height * 0.006));
+  const maxLine = Math.round(height * 0.06);
+  let above = 0;
+  let below = 0;
+
+  for (let s = 0; s < STRIPS; s++) {
+    const x0 = Math.floor((s * width) / STRIPS);
+    const x1 = Math.floor(((s + 1) * width) / STRIPS);
+    const profile = new Float32Array(height);
+    for (let y = 0; y < height; y++) {
+      let ink = 0;
+      for (let x = x0; x < x1; x++) {
+        if (binary[y * width + x]) ink++;
+      }
+      profile[y] = ink / (x1 - x0);
+    }
+
+    let y = 0;
+    while (y < height) {
+      if (profile[y] === 0) {
+        y++;
+        continue;
+      }
+      const start = y;
+      while (y < height && profile[y] > 0) y++;
+      const end = y; // exclusive
+
+      const lineHeight = end - start;
+      if (lineHeight < minLine || lineHeight > maxLine) continue;
+
+      let peak = 0;
+      for (let r = start; r < end; r++) peak = Math.max(peak, profile[r]);
+      let coreStart = start;
+      while (profile[coreStart] < peak * 0.5) coreStart++;
+      let coreEnd = end - 1;
+      while (profile[coreEnd] < peak * 0.5) coreEnd--;
+
+      for (let r = start; r < coreStart; r++) above += profile[r];
+      for (let r = coreEnd + 1; r < end; r++) below += profile[r];
+    }
+  }
+
+  const total = above + below;
+  if (total < 0.5) return 0;
+  return clamp(((above - below) / total) * 2, -1, 1);
+};
+
+/**
+ * Decides how far a cropped label must be rotated clockwise to be upright.
+ * @param cv OpenCV.js namespace
+ * @param label RGBA Mat of the cropped label
+ * @returns {{ rotation: 0|90|180|270, confidence: number }} confidence is 0-1
+ */
+export const detectOrientation = (cv, label) => {
+  let gray = new cv.Mat();
+  let portrait = new cv.Mat();
+  let small = new cv.Mat();
+  let binary = new cv.Mat();
+
+  try {
+    cv.cvtColor(label, gray, cv.COLOR_RGBA2GRAY, 0);
+
+    // Landscape labels are judged after a clockwise quarter turn
+    const landscape = gray.cols > gray.rows;
+    if (landscape) {
+      cv.rotate(gray, portrait, cv.ROTATE_90_CLOCKWISE);
+    } else {
+      gray.copyTo(portrait);
+    }
+
+    const scale = Math.min(1, ANALYSIS_SIZE / Math.max(portrait.cols, portrait.rows));
+    const size = new cv.Size(Math.round(portrait.cols * scale), Math.round(portrait.rows * scale));
+    cv.resize(portrait, small, size, 0, 0, cv.INTER_AREA);
+    cv.threshold(small, binary, 0, 1, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+
+    const score = BARCODE_WEIGHT * barcodeScore(cv, small) +
+      TEXT_WEIGHT * textScore(binary.data, binary.cols, binary.rows);
+
+    // Ties keep the plain reading (0 or a clockwise quarter turn)
+    const upsideDown = score < 0;
+    const rotation = (landscape ? 90 : 0) + (upsideDown ? 180 : 0);
+    return { rotation, confidence: Math.min(1, Math.abs(score)) };
+  } finally {
+    gray.delete(); portrait.delete(); small.delete(); binary.delete();
+  }
+};
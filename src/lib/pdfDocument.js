@@ -0,0 +1,104 @@
+// --- Opening PDFs: passwords, repairs and readable errors ---
+// pdf.js fails with its own exception classes and developer-facing messages.
+// openPdf turns those into a PdfError whose `code` says what went wrong, so the
+// app can ask for a password or explain the problem, and whose message can be
+// shown as is. Files pdf.js can't parse at all are rebuilt with pdf-lib, which
+// reads damaged cross-reference data and truncated files more leniently.
+
+export const PDF_ERROR_MESSAGES = {
+  'password-required': "This PDF is password-protected. Enter its password to open it.",
+  'password-incorrect': "The password is incorrect. Check it and try again.",
+  empty: "The file is empty. Try downloading it again.",
+  'not-pdf': "This file is not a PDF, even though it is named like one. It may be a web page or an error message saved by mistake.",
+  damaged: "This PDF is damaged and could not be repaired. Try downloading it again.",
+  'no-pages': "This PDF has no pages.",
+  'damaged-page': "This page is damaged and could not be read.",
+  unreadable: "This PDF could not be opened."
+};
+
+export class PdfError extends Error {
+  constructor(code, cause) {
+    super(PDF_ERROR_MESSAGES[code], { cause });
+    this.name = 'PdfError';
+    this.code = code;
+  }
+}
+
+export const isPasswordError = (err) => err?.code === 'password-required' || err?.code === 'password-incorrect';
+
+// pdf.js PasswordResponses
+const INCORRECT_PASSWORD = 2;
+
+const toPdfError = (err) => {
+  if (err instanceof PdfError) return err;
+  if (err?.name === 'PasswordException') {
+    return new PdfError(err.code === INCORRECT_PASSWORD ? 'password-incorrect' : 'password-required', err);
+  }
+  if (err?.name === 'InvalidPDFException' || err?.name === 'FormatError') return new PdfError('damaged', err);
+  return new PdfError('unreadable', err);
+};
+
+// pdf.js, like most readers, accepts the header anywhere in the first kilobyte
+const hasPdfHeader = (data) => {
+  const head = data.subarray(0, 1024);
+  for (let i = 0; i + 5 <= head.length; i++) {
+    if (head[i] === 0x25 && String.fromCharCode(...head.subarray(i + 1, i + 5)) === 'PDF-') return true;
+  }
+  return false;
+};
+
+// A clean copy of a damaged file, or null when pdf-lib can't make sense of it
+// either. Encrypted files are left alone: pdf-lib can't decrypt them.
+const rebuild = async (data) => {
+  const { PDFDocument } = await import('pdf-lib');
+  try {
+    const doc = await PDFDocument.load(data, { throwOnInvalidObject: false, updateMetadata: false });
+    if (!doc.getPageCount()) return null;
+    return await doc.save({ useObjectStreams: false });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Opens a PDF with pdf.js, repairing it first when pdf.js can't parse it.
+ * @param pdfjsLib the pdf.js module
+ * @param data {Uint8Array} the file's contents
+ * @param options getDocument options; `password` is tried on encrypted files
+ * @returns {Promise<{ pdf, repaired: boolean }>}
+ * @throws {PdfError}
+ */
+export const openPdf = async (pdfjsLib, data, options = {}) => {
+  if (!data.length) throw new PdfError('empty');
+  if (!hasPdfHeader(data)) throw new PdfError('not-pdf');
+
+  // pdf.js may take ownership of the bytes it is given, so it gets a copy
+  const load = async (bytes) => {
+    const task = pdfjsLib.getDocument({ ...options, data: bytes });
+    let pdf;
+    try {
+      pdf = await task.promise;
+    } catch (err) {
+      task.destroy();
+      throw err;
+    }
+    if (!pdf.numPages) {
+      await pdf.destroy();
+      throw new PdfError('no-pages');
+    }
+    return pdf;
+  };
+
+  try {
+    return { pdf: await load(data.slice()), repaired: false };
+  } catch (err) {
+    if (err?.name === 'PasswordException' || err instanceof PdfError) throw toPdfError(err);
+    const rebuilt = await rebuild(data);
+    if (!rebuilt) throw new PdfError('damaged', err);
+    try {
+      return { pdf: await load(rebuilt), repaired: true };
+    } catch (retryErr) {
+      throw toPdfError(retryErr);
+    }
+  }
+};
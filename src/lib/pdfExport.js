@@ -0,0 +1,299 @@
+import {
+  PDFDocument, clip, degrees, endPath, popGraphicsState, pushGraphicsState, rectangle, rgb
+} from 'pdf-lib';
+import { fitToCell, sheetCells } from './sheetLayouts.js';
+
+const POINTS_PER_INCH = 72;
+
+// --- Builds a PDF with one processed label per page ---
+// The page size is the physical label size: pixels / dpi, in PDF points.
+// Labels that were rotated away from the stock's orientation get a page
+// turned the same way.
+//
+// Labels cut from a PDF are copied as vectors: the original page is embedded
+// clipped to the label's box and drawn rotated and scaled onto the page, so
+// text and barcodes keep their original quality. Everything else (images, or
+// PDFs pdf-lib can't open) is placed as the processed PNG.
+
+// Inverse of a pdf.js viewport transform: canvas pixels -> PDF user space
+const toPdfPoint = ([a, b, c, d, e, f], x, y) => {
+  const det = a * d - b * c;
+  return [
+    (d * (x - e) - c * (y - f)) / det,
+    (a * (y - f) - b * (x - e)) / det
+  ];
+};
+
+// Label rectangle in canvas pixels -> bounding box in PDF user space
+export const pdfBoxFromRect = (rect, transform) => {
+  const corners = [
+    toPdfPoint(transform, rect.x, rect.y),
+    toPdfPoint(transform, rect.x + rect.width, rect.y),
+    toPdfPoint(transform, rect.x + rect.width, rect.y + rect.height),
+    toPdfPoint(transform, rect.x, rect.y + rect.height)
+  ];
+  const xs = corners.map(p => p[0]);
+  const ys = corners.map(p => p[1]);
+  return { left: Math.min(...xs), bottom: Math.min(...ys), right: Math.max(...xs), top: Math.max(...ys) };
+};
+
+/**
+ * Where a label or packing slip sits on its PDF page, for vector export.
+ * @param region {{ rect, quad?, rotation? }} as found on the rendered page
+ * @param pdfPage {{ transform, rotation }} the page's pdf.js viewport info
+ * @returns {{ box, rotation: number }|null} null for regions that were warped
+ *   straight (`quad`): clipping the page to their box would come out skewed,
+ *   so they are exported as pixels
+ */
+export const pdfPlacement = ({ rect, quad, rotation = 0 }, pdfPage) => {
+  if (quad) return null;
+  return { box: pdfBoxFromRect(rect, pdfPage.transform), rotation: pdfPage.rotation + rotation };
+};
+
+const pageBox = (page) => ({ x: 0, y: 0, ...page.getSize() });
+
+const insetBox = ({ x, y, width, height }, inset) => ({
+  x: x + inset, y: y + inset, width: width - inset * 2, height: height - inset * 2
+});
+
+// Where to draw w x h content turned `rotation` degrees clockwise so it is
+// centred on the box. pdf-lib rotates counter-clockwise around the lower-left
+// corner, so the anchor moves with the turn.
+const turnedAnchor = (box, w, h, rotation) => {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const anchors = {
+    0: [cx - w / 2, cy - h / 2],
+    90: [cx - h / 2, cy + w / 2],
+    180: [cx + w / 2, cy + h / 2],
+    270: [cx + h / 2, cy - w / 2]
+  };
+  return anchors[rotation];
+};
+
+// Draws an embedded page turned `rotation` degrees clockwise, scaled to fit or
+// fill the box (the whole page by default) and centred on it
+const drawVectorLabel = (page, embedded, rotation, fit, box = pageBox(page)) => {
+  const turned = rotation % 180 !== 0;
+  const width = turned ? embedded.height : embedded.width;
+  const height = turned ? embedded.width : embedded.height;
+  const scale = fit === 'fill'
+    ? Math.max(box.width / width, box.height / height)
+    : Math.min(box.width / width, box.height / height);
+
+  const w = embedded.width * scale;
+  const h = embedded.height * scale;
+  const [x, y] = turnedAnchor(box, w, h, rotation);
+  page.drawPage(embedded, { x, y, width: w, height: h, rotate: degrees(-rotation) });
+};
+
+// Source PDFs are loaded once per export, however many labels they hold
+const sourceLoader = () => {
+  const sources = new Map();
+  return (file) => {
+    if (!sources.has(file)) {
+      sources.set(file, file.arrayBuffer().then(bytes => PDFDocument.load(bytes)).catch(() => null));
+    }
+    return sources.get(file);
+  };
+};
+
+/**
+ * @param labels {{ image: string, vector?: { file: Blob, page: number, box, rotation } }[]}
+ *   `page` is 1-based, `box` is from pdfBoxFromRect and `rotation` is clockwise
+ * @returns {Promise<{ blob: Blob, vectorCount: number }>}
+ */
+export const createLabelPdf = async (labels, { width, height, dpi, fit = 'fit' }) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle('Shipping Labels');
+  pdf.setCreator('Crop This Label');
+
+  const upright = [(width / dpi) * POINTS_PER_INCH, (height / dpi) * POINTS_PER_INCH];
+  const turned = [upright[1], upright[0]];
+  const pageSize = (landscape) => (landscape === (width > height) ? upright : turned);
+
+  const loadSource = sourceLoader();
+
+  let vectorCount = 0;
+  for (const label of labels) {
+    const { vector } = label;
+    const source = vector && await loadSource(vector.file);
+    if (source) {
+      const rotation = ((vector.rotation % 360) + 360) % 360;
+      const [embedded] = await pdf.embedPages([source.getPage(vector.page - 1)], [vector.box]);
+      const contentLandscape = rotation % 180 === 0
+        ? embedded.width > embedded.height
+        : embedded.height > embedded.width;
+      const page = pdf.addPage(pageSize(contentLandscape));
+      drawVectorLabel(page, embedded, rotation, fit);
+      vectorCount++;
+      continue;
+    }
+
+    const png = await pdf.embedPng(label.image);
+    const size = pageSize(png.width > png.height);
+    const page = pdf.addPage(size);
+    page.drawImage(png, { x: 0, y: 0, width: size[0], height: size[1] });
+  }
+
+  const bytes = await pdf.save();
+  return { blob: new Blob([bytes], { type: 'application/pdf' }), vectorCount };
+};
+
+// --- Packing slips: one per half-page sheet ---
+// Slips keep their own proportions: the paper is turned to match the slip and
+// the slip is scaled to fit inside a margin the printer can reach.
+
+const SLIP_MARGIN = 0.25 * POINTS_PER_INCH;
+
+/**
+ * @param slips {{ image: string, vector?: { file: Blob, page: number, box, rotation } }[]}
+ *   as for createLabelPdf
+ * @param options.paper a SLIP_PAPERS entry (sizes in inches)
+ * @returns {Promise<{ blob: Blob, vectorCount: number }>}
+ */
+export const createSlipPdf = async (slips, { paper }) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle('Packing Slips');
+  pdf.setCreator('Crop This Label');
+
+  const long = Math.max(paper.width, paper.height) * POINTS_PER_INCH;
+  const short = Math.min(paper.width, paper.height) * POINTS_PER_INCH;
+  const pageSize = (landscape) => (landscape ? [long, short] : [short, long]);
+  const loadSource = sourceLoader();
+
+  let vectorCount = 0;
+  for (const slip of slips) {
+    const { vector } = slip;
+    const source = vector && await loadSource(vector.file);
+    if (source) {
+      const rotation = ((vector.rotation % 360) + 360) % 360;
+      const [embedded] = await pdf.embedPages([source.getPage(vector.page - 1)], [vector.box]);
+      const landscape = rotation % 180 === 0
+        ? embedded.width > embedded.height
+        : embedded.height > embedded.width;
+      const page = pdf.addPage(pageSize(landscape));
+      drawVectorLabel(page, embedded, rotation, 'fit', insetBox(pageBox(page), SLIP_MARGIN));
+      vectorCount++;
+      continue;
+    }
+
+    const png = await pdf.embedPng(slip.image);
+    const [pageWidth, pageHeight] = pageSize(png.width > png.height);
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    const scale = Math.min((pageWidth - SLIP_MARGIN * 2) / png.width, (pageHeight - SLIP_MARGIN * 2) / png.height);
+    const width = png.width * scale;
+    const height = png.height * scale;
+    page.drawImage(png, { x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, width, height });
+  }
+
+  const bytes = await pdf.save();
+  return { blob: new Blob([bytes], { type: 'application/pdf' }), vectorCount };
+};
+
+// --- Sheets: labels tiled onto Letter/A4 paper or adhesive label sheets ---
+// Each label keeps its physical stock size in its cell, turned or shrunk only
+// when the cell is too small, and is clipped to the cell so fill-mode vectors
+// can't spill onto a neighbour. Calibration moves and insets everything on
+// the sheet to match the printer.
+
+const POINTS_PER_MM = POINTS_PER_INCH / 25.4;
+const CUT_MARK_LENGTH = 0.2 * POINTS_PER_INCH;
+const CUT_MARK_GAP = 0.05 * POINTS_PER_INCH;
+
+// Short lines just outside each corner of a cell, along its edges
+const drawCutMarks = (page, { x, y, width, height }) => {
+  const line = (start, end) => page.drawLine({ start, end, thickness: 0.5, color: rgb(0, 0, 0) });
+  for (const cx of [x, x + width]) {
+    for (const cy of [y, y + height]) {
+      const dx = cx === x ? -1 : 1;
+      const dy = cy === y ? -1 : 1;
+      line({ x: cx + dx * CUT_MARK_GAP, y: cy }, { x: cx + dx * (CUT_MARK_GAP + CUT_MARK_LENGTH), y: cy });
+      line({ x: cx, y: cy + dy * CUT_MARK_GAP }, { x: cx, y: cy + dy * (CUT_MARK_GAP + CUT_MARK_LENGTH) });
+    }
+  }
+};
+
+/**
+ * @param labels as for createLabelPdf
+ * @param options.layout a SHEET_LAYOUTS entry
+ * @param options.width, options.height, options.dpi the label images' pixel size and resolution
+ * @param options.calibration { margin, offsetX, offsetY } in millimetres, and cutMarks
+ * @returns {Promise<{ blob: Blob, vectorCount: number, sheetCount: number, scale: number }>}
+ *   scale is how much the labels were shrunk to fit the cells (1 = actual size)
+ */
+export const createSheetPdf = async (labels, { layout, width, height, dpi, fit = 'fit', calibration }) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle('Shipping Labels');
+  pdf.setCreator('Crop This Label');
+
+  const paperWidth = layout.paper.width * POINTS_PER_INCH;
+  const paperHeight = layout.paper.height * POINTS_PER_INCH;
+  const offsetX = calibration.offsetX * POINTS_PER_MM;
+  const offsetY = calibration.offsetY * POINTS_PER_MM;
+  const margin = calibration.margin * POINTS_PER_MM;
+  // Cells in PDF points; PDF y runs up from the bottom of the sheet
+  const cells = sheetCells(layout).map(cell => ({
+    x: cell.x * POINTS_PER_INCH + offsetX,
+    y: paperHeight - (cell.y + cell.height) * POINTS_PER_INCH - offsetY,
+    width: cell.width * POINTS_PER_INCH,
+    height: cell.height * POINTS_PER_INCH
+  }));
+
+  // Label stock in points, turned like the label when it was rotated off the stock
+  const upright = [(width / dpi) * POINTS_PER_INCH, (height / dpi) * POINTS_PER_INCH];
+  const stockSize = (landscape) => (landscape === (width > height) ? upright : [upright[1], upright[0]]);
+  const loadSource = sourceLoader();
+
+  let page = null;
+  let vectorCount = 0;
+  let minScale = 1;
+  for (const [index, label] of labels.entries()) {
+    const cell = cells[index % cells.length];
+    if (index % cells.length === 0) {
+      page = pdf.addPage([paperWidth, paperHeight]);
+      if (layout.plain && calibration.cutMarks) cells.forEach(c => drawCutMarks(page, c));
+    }
+
+    const { vector } = label;
+    const source = vector && await loadSource(vector.file);
+    let content;
+    let landscape;
+    if (source) {
+      content = (await pdf.embedPages([source.getPage(vector.page - 1)], [vector.box]))[0];
+      const rotation = ((vector.rotation % 360) + 360) % 360;
+      landscape = rotation % 180 === 0 ? content.width > content.height : content.height > content.width;
+    } else {
+      content = await pdf.embedPng(label.image);
+      landscape = content.width > content.height;
+    }
+
+    // The label stock's outline, centred in the cell
+    const [stockWidth, stockHeight] = stockSize(landscape);
+    const { turned, scale } = fitToCell({ width: stockWidth, height: stockHeight }, cell, margin);
+    minScale = Math.min(minScale, scale);
+    const w = stockWidth * scale;
+    const h = stockHeight * scale;
+    const slot = { width: turned ? h : w, height: turned ? w : h };
+    slot.x = cell.x + (cell.width - slot.width) / 2;
+    slot.y = cell.y + (cell.height - slot.height) / 2;
+
+    page.pushOperators(pushGraphicsState(), rectangle(slot.x, slot.y, slot.width, slot.height), clip(), endPath());
+    if (source) {
+      drawVectorLabel(page, content, ((vector.rotation + (turned ? 90 : 0)) % 360 + 360) % 360, fit, slot);
+      vectorCount++;
+    } else {
+      const [x, y] = turnedAnchor(slot, w, h, turned ? 90 : 0);
+      page.drawImage(content, { x, y, width: w, height: h, rotate: degrees(turned ? -90 : 0) });
+    }
+    page.pushOperators(popGraphicsState());
+  }
+
+  const bytes = await pdf.save();
+  return {
+    blob: new Blob([bytes], { type: 'application/pdf' }),
+    vectorCount,
+    sheetCount: pdf.getPageCount(),
+    scale: minScale
+  };
+};
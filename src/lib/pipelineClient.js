@@ -0,0 +1,73 @@
+// --- Main-thread client for the processing worker ---
+// Wraps the worker's message protocol in promises. Log, engine and progress
+// messages are forwarded to the given callbacks.
+
+export const createPipeline = ({ onLog, onEngineLoaded, onProgress }) => {
+  const worker = new Worker(new URL('../workers/pipeline.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+
+  worker.onmessage = ({ data }) => {
+    switch (data?.type) {
+      case 'log':
+        onLog(data.message);
+        break;
+      case 'engine':
+        onEngineLoaded(data.engine);
+        break;
+      case 'progress':
+        onProgress(data);
+        break;
+      case 'result':
+      case 'error': {
+        const call = pending.get(data.id);
+        if (!call) return;
+        pending.delete(data.id);
+        if (data.type === 'result') {
+          call.resolve(data.result);
+        } else {
+          const err = new Error(data.message);
+          err.name = data.name;
+          if (data.code) err.code = data.code;
+          call.reject(err);
+        }
+        break;
+      }
+      default:
+        // Messages from the engines' own worker plumbing
+        break;
+    }
+  };
+
+  // Settles every call still waiting on the worker
+  const rejectPending = (err) => {
+    pending.forEach(p => p.reject(err));
+    pending.clear();
+  };
+
+  // The worker failed to load or threw outside a call: nothing in flight will answer
+  worker.onerror = (e) => {
+    const message = e.message || 'unknown error';
+    onLog(`Error: Processing worker failed (${message})`);
+    rejectPending(new Error(`Processing worker failed (${message}).`));
+  };
+
+  const call = (method, params) => {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ type: 'call', id, method, params });
+    });
+  };
+
+  return {
+    call,
+    cancel: (jobId) => worker.postMessage({ type: 'cancel', jobId }),
+    terminate: () => {
+      worker.terminate();
+      rejectPending(new Error('Processing worker stopped.'));
+    }
+  };
+};
+
+export const isCancelled = (err) => err?.name === 'CancelledError';
@@ -0,0 +1,78 @@
+// --- 1-bit PNG encoding ---
+// Canvas can only export 8-bit RGBA PNGs. Thermal labels are pure black and
+// white, so they are written as 1-bit greyscale instead: smaller files, and
+// printer drivers can't reintroduce grey by scaling. Compression uses the
+// built-in CompressionStream ('deflate' produces the zlib stream PNG expects).
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// length + type + data + CRC(type + data)
+const chunk = (type, data) => {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+};
+
+const deflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Encodes 1-bit pixels (1 = black, 0 = white, as from monochrome.js) as a PNG.
+ * @returns {Promise<Blob>}
+ */
+export const encodeMonochromePng = async (bits, width, height) => {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 1; // bit depth
+  header[9] = 0; // greyscale, where 1 is white
+  // compression, filter and interlace methods stay 0
+
+  // Each row: filter type 0, then 8 pixels per byte, most significant bit first
+  const bytesPerRow = Math.ceil(width / 8);
+  const raw = new Uint8Array((bytesPerRow + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (bytesPerRow + 1);
+    for (let x = 0; x < width; x++) {
+      if (!bits[y * width + x]) raw[row + 1 + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+    // Padding bits at the end of the row are white
+    for (let x = width; x < bytesPerRow * 8; x++) {
+      raw[row + 1 + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+
+  return new Blob([
+    new Uint8Array(SIGNATURE),
+    chunk('IHDR', header),
+    chunk('IDAT', await deflate(raw)),
+    chunk('IEND', new Uint8Array(0))
+  ], { type: 'image/png' });
+};
@@ -0,0 +1,106 @@
+// --- Print layouts: labels tiled onto sheets of paper ---
+// For stations without a label printer. Sizes are in inches, measured from the
+// sheet's top-left corner. Plain paper is split into equal cells inside a
+// quarter-inch border; adhesive label sheets use the maker's published
+// margins and gaps. `plain` sheets get cut marks, label sheets are pre-cut.
+
+const MM_PER_INCH = 25.4;
+const mm = (value) => value / MM_PER_INCH;
+
+const LETTER = { width: 8.5, height: 11 };
+const A4 = { width: mm(210), height: mm(297) };
+const PLAIN_BORDER = 0.25;
+
+const plainGrid = (paper, columns, rows) => ({
+  paper,
+  columns,
+  rows,
+  cell: {
+    width: (paper.width - PLAIN_BORDER * 2) / columns,
+    height: (paper.height - PLAIN_BORDER * 2) / rows
+  },
+  margin: { x: PLAIN_BORDER, y: PLAIN_BORDER },
+  gap: { x: 0, y: 0 },
+  plain: true
+});
+
+// One label per page at the label stock size: the default print path
+export const STOCK_LAYOUT_ID = 'stock';
+
+export const SHEET_LAYOUTS = [
+  { id: 'letter-2up', name: 'Letter paper, 2-up', ...plainGrid(LETTER, 1, 2) },
+  { id: 'letter-4up', name: 'Letter paper, 4-up', ...plainGrid(LETTER, 2, 2) },
+  { id: 'a4-2up', name: 'A4 paper, 2-up', ...plainGrid(A4, 1, 2) },
+  { id: 'a4-4up', name: 'A4 paper, 4-up', ...plainGrid(A4, 2, 2) },
+  {
+    id: 'avery-5126',
+    name: 'Avery 5126 / 8126 (2 per Letter sheet, 8.5 x 5.5 in)',
+    paper: LETTER, columns: 1, rows: 2,
+    cell: { width: 8.5, height: 5.5 }, margin: { x: 0, y: 0 }, gap: { x: 0, y: 0 }
+  },
+  {
+    id: 'avery-5168',
+    name: 'Avery 5168 (4 per Letter sheet, 3.5 x 5 in)',
+    paper: LETTER, columns: 2, rows: 2,
+    cell: { width: 3.5, height: 5 }, margin: { x: 0.5, y: 0.5 }, gap: { x: 0.5, y: 0 }
+  },
+  {
+    id: 'avery-5164',
+    name: 'Avery 5164 / 8164 (6 per Letter sheet, 4 x 3.33 in)',
+    paper: LETTER, columns: 2, rows: 3,
+    cell: { width: 4, height: 10 / 3 }, margin: { x: 0.156, y: 0.5 }, gap: { x: 0.188, y: 0 }
+  },
+  {
+    id: 'a4-2-labels',
+    name: 'A4 label sheet (2 per sheet, 199.6 x 143.5 mm)',
+    paper: A4, columns: 1, rows: 2,
+    cell: { width: mm(199.6), height: mm(143.5) }, margin: { x: mm(5.2), y: mm(5) }, gap: { x: 0, y: 0 }
+  },
+  {
+    id: 'avery-l7169',
+    name: 'Avery L7169 (4 per A4 sheet, 99.1 x 139 mm)',
+    paper: A4, columns: 2, rows: 2,
+    cell: { width: mm(99.1), height: mm(139) }, margin: { x: mm(4.65), y: mm(9.5) }, gap: { x: mm(2.5), y: 0 }
+  }
+];
+
+// Printer calibration, in millimetres: `margin` keeps labels clear of each cell's
+// edges, `offsetX`/`offsetY` move everything right/down to correct paper feed
+export const DEFAULT_PRINT_LAYOUT = {
+  layoutId: STOCK_LAYOUT_ID,
+  margin: 2,
+  offsetX: 0,
+  offsetY: 0,
+  cutMarks: true
+};
+
+export const getSheetLayout = (id) => SHEET_LAYOUTS.find(l => l.id === id) || null;
+
+// Cell rectangles in inches from the top-left, row by row
+export const sheetCells = (layout) => {
+  const cells = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let column = 0; column < layout.columns; column++) {
+      cells.push({
+        x: layout.margin.x + column * (layout.cell.width + layout.gap.x),
+        y: layout.margin.y + row * (layout.cell.height + layout.gap.y),
+        width: layout.cell.width,
+        height: layout.cell.height
+      });
+    }
+  }
+  return cells;
+};
+
+/**
+ * Where a label of the given physical size goes in a cell: turned a quarter
+ * when that lets it fit larger, and shrunk only when it can't fit at full size.
+ * @returns {{ turned: boolean, scale: number }} scale is at most 1
+ */
+export const fitToCell = (label, cell, margin = 0) => {
+  const width = cell.width - margin * 2;
+  const height = cell.height - margin * 2;
+  const upright = Math.min(1, width / label.width, height / label.height);
+  const turned = Math.min(1, width / label.height, height / label.width);
+  return { turned: turned > upright, scale: Math.max(upright, turned) };
+};
@@ -0,0 +1,97 @@
+// --- Known label layouts from carriers and marketplaces ---
+// Label PDFs from these services put the label in a fixed place on the page,
+// next to packing slips and instructions that confuse the contour detector.
+// A template matches on the page size (in inches, in the orientation listed)
+// and on words printed on the page; its region is then cropped directly.
+// Regions are fractions of the rendered page: [x, y, width, height].
+// Marketplaces come first because their labels also carry carrier names.
+// `rest` is the part of the page beside the label. Marketplaces print the
+// packing slip there (packingSlip: true); carriers print instructions.
+
+const PAGE_TOLERANCE = 0.15; // inches
+
+// Shared page layouts
+const LETTER_TOP_HALF = { name: 'letter, label on top half', page: [8.5, 11], region: [0, 0, 1, 0.5], rest: [0, 0.5, 1, 0.5] };
+const A4_TOP_HALF = { name: 'A4, label on top half', page: [8.27, 11.69], region: [0, 0, 1, 0.5], rest: [0, 0.5, 1, 0.5] };
+const LETTER_LEFT_HALF = { name: 'letter landscape, label on left half', page: [11, 8.5], region: [0, 0, 0.5, 1], rest: [0.5, 0, 0.5, 1] };
+const LABEL_4X6 = { name: '4x6 label page', page: [4, 6], region: [0, 0, 1, 1] };
+const LABEL_6X4 = { name: '6x4 label page', page: [6, 4], region: [0, 0, 1, 1] };
+
+export const LABEL_TEMPLATES = [
+  {
+    id: 'amazon',
+    packingSlip: true,
+    name: 'Amazon',
+    keywords: [/\bamazon\b/i, /\bAMZL\b/, /Buy Shipping/i],
+    layouts: [LABEL_4X6, LETTER_TOP_HALF, A4_TOP_HALF]
+  },
+  {
+    id: 'ebay',
+    packingSlip: true,
+    name: 'eBay',
+    keywords: [/\bebay\b/i],
+    layouts: [LABEL_4X6, LETTER_TOP_HALF, A4_TOP_HALF]
+  },
+  {
+    id: 'etsy',
+    packingSlip: true,
+    name: 'Etsy',
+    keywords: [/\betsy\b/i],
+    layouts: [LABEL_4X6, LETTER_TOP_HALF, A4_TOP_HALF]
+  },
+  {
+    id: 'shopify',
+    packingSlip: true,
+    name: 'Shopify',
+    keywords: [/\bshopify\b/i],
+    layouts: [LABEL_4X6, LETTER_TOP_HALF, A4_TOP_HALF]
+  },
+  {
+    id: 'usps',
+    name: 'USPS',
+    keywords: [/USPS TRACKING/i, /\bUSPS\.COM\b/i, /PRIORITY MAIL/i, /GROUND ADVANTAGE/i, /Click-N-Ship/i],
+    layouts: [LABEL_4X6, LETTER_TOP_HALF]
+  },
+  {
+    id: 'ups',
+    name: 'UPS',
+    keywords: [/\bUPS (GROUND|NEXT DAY AIR|2ND DAY AIR|3 DAY SELECT|WORLDWIDE)/i, /\b1Z[0-9A-Z]{16}\b/, /UPS Internet Shipping/i],
+    layouts: [LABEL_4X6, LETTER_TOP_HALF]
+  },
+  {
+    id: 'fedex',
+    name: 'FedEx',
+    keywords: [/\bfedex\b/i, /\bFDX\b/],
+    layouts: [LABEL_4X6, LABEL_6X4, LETTER_TOP_HALF, LETTER_LEFT_HALF]
+  }
+];
+
+const pageMatches = (layout, width, height) => (
+  Math.abs(layout.page[0] - width) <= PAGE_TOLERANCE &&
+  Math.abs(layout.page[1] - height) <= PAGE_TOLERANCE
+);
+
+/**
+ * Finds the template for a PDF page.
+ * @param page {{ width: number, height: number, text: string }} size in inches as rendered
+ * @returns {{ template, layout } | null} null when the generic detector should be used
+ */
+export const matchTemplate = ({ width, height, text }) => {
+  for (const template of LABEL_TEMPLATES) {
+    if (!template.keywords.some(keyword => keyword.test(text))) continue;
+    const layout = template.layouts.find(l => pageMatches(l, width, height));
+    if (layout) return { template, layout };
+  }
+  return null;
+};
+
+// Layout region (default: the label's) in pixels of a page rendered at width x height
+export const layoutRect = (layout, width, height, region = layout.region) => {
+  const [x, y, w, h] = region;
+  return {
+    x: Math.round(x * width),
+    y: Math.round(y * height),
+    width: Math.round(w * width),
+    height: Math.round(h * height)
+  };
+};
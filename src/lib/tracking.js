@@ -0,0 +1,48 @@
+// --- Tracking numbers from decoded label barcodes ---
+// Turns the raw barcode texts read off a label into a tracking number and
+// carrier. 1D barcodes are checked first since that is where carriers put the
+// tracking number; 2D codes (PDF417, DataMatrix, QR) are searched after.
+
+export const BARCODE_FORMATS = ['Code128', 'PDF417', 'DataMatrix', 'QRCode'];
+
+// Each rule gets the barcode text with separators and GS1 control characters
+// removed and returns the tracking number, or null
+const CARRIER_RULES = [
+  // 1Z + 6-character shipper number + service + package number
+  { carrier: 'UPS', match: (text) => text.match(/1Z[0-9A-Z]{16}/)?.[0] },
+  // IMpb: optional "420" + ZIP (5 or 9 digits) routing prefix, then the tracking number
+  { carrier: 'USPS', match: (text) => text.match(/^(?:420\d{5}(?:\d{4})?)?(9[2-5]\d{20}(?:\d{4})?)$/)?.[1] },
+  { carrier: 'Amazon', match: (text) => text.match(/TBA\d{12}/)?.[0] },
+  { carrier: 'DHL', match: (text) => text.match(/^JJD\d{16,20}$/)?.[0] },
+  // FedEx 1D barcodes are 34 digits (Express) or "96" + 20 digits (Ground);
+  // the tracking number is the end of it
+  { carrier: 'FedEx', match: (text) => (/^\d{34}$/.test(text) ? text.slice(-12) : null) },
+  { carrier: 'FedEx', match: (text) => (/^96\d{20}$/.test(text) ? text.slice(-15) : null) }
+];
+
+const cleanText = (text) => text.replace(/^\]C1/, '').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+
+/**
+ * @param barcodes {{ format: string, text: string }[]} as decoded from the label
+ * @returns {{ trackingNumber: string, carrier: string | null }} or null when nothing was decoded
+ */
+export const identifyTracking = (barcodes) => {
+  if (!barcodes.length) return null;
+
+  const ordered = [...barcodes].sort((a, b) => (b.format === 'Code128') - (a.format === 'Code128'));
+  for (const { text } of ordered) {
+    const cleaned = cleanText(text);
+    for (const rule of CARRIER_RULES) {
+      const trackingNumber = rule.match(cleaned);
+      if (trackingNumber) return { trackingNumber, carrier: rule.carrier };
+    }
+  }
+
+  // Unknown carrier: the longest linear barcode is usually the tracking number
+  const linear = ordered
+    .filter(b => b.format === 'Code128')
+    .map(b => cleanText(b.text))
+    .filter(text => /^[0-9A-Z]{10,}$/.test(text))
+    .sort((a, b) => b.length - a.length);
+  return linear.length ? { trackingNumber: linear[0], carrier: null } : null;
+};
@@ -0,0 +1,93 @@
+import { toMonochrome } from './monochrome';
+
+// --- ZPL (Zebra Programming Language) encoding ---
+// Encodes a 1-bit image as a single ^GFA graphic field. Rows use the ZPL ASCII
+// compression scheme: repeat counts (G-Y = 1-19, g-z = 20-400), ',' to fill
+// the rest of a row with zeros, '!' to fill it with ones and ':' to repeat the
+// previous row. Without it a 4x6 label at 300 dpi is over half a megabyte.
+
+export const ZPL_DPI_OPTIONS = [203, 300];
+
+const repeatPrefix = (count) => {
+  let prefix = '';
+  while (count >= 400) {
+    prefix += 'z';
+    count -= 400;
+  }
+  if (count >= 20) {
+    prefix += String.fromCharCode('g'.charCodeAt(0) + Math.floor(count / 20) - 1);
+    count %= 20;
+  }
+  if (count > 1) {
+    prefix += String.fromCharCode('G'.charCodeAt(0) + count - 1);
+  } else if (count === 1 && prefix) {
+    prefix += 'G';
+  }
+  return prefix;
+};
+
+const compressRow = (hex) => {
+  let body = hex;
+  let fill = '';
+  const zeros = hex.match(/0+$/);
+  const ones = hex.match(/F+$/);
+  if (zeros && zeros[0].length > 1) {
+    body = hex.slice(0, -zeros[0].length);
+    fill = ',';
+  } else if (ones && ones[0].length > 1) {
+    body = hex.slice(0, -ones[0].length);
+    fill = '!';
+  }
+
+  let out = '';
+  for (let i = 0; i < body.length;) {
+    let run = 1;
+    while (i + run < body.length && body[i + run] === body[i]) run++;
+    out += repeatPrefix(run) + body[i];
+    i += run;
+  }
+  return out + fill;
+};
+
+// Packs 1-bit pixels into rows of hex digits, 8 pixels per byte, MSB first
+const packRows = (bits, width, height) => {
+  const bytesPerRow = Math.ceil(width / 8);
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let hex = '';
+    for (let b = 0; b < bytesPerRow; b++) {
+      let byte = 0;
+      for (let k = 0; k < 8; k++) {
+        const x = b * 8 + k;
+        if (x < width && bits[y * width + x]) byte |= 0x80 >> k;
+      }
+      hex += byte.toString(16).toUpperCase().padStart(2, '0');
+    }
+    rows.push(hex);
+  }
+  return { rows, bytesPerRow };
+};
+
+// imageData must already be scaled to printer dots (e.g. 812x1218 for 4x6 at 203 dpi)
+export const createZpl = (imageData, { mode = 'dither', level = 128 } = {}) => {
+  const { width, height } = imageData;
+  const bits = toMonochrome(imageData, { mode, level });
+  const { rows, bytesPerRow } = packRows(bits, width, height);
+  const totalBytes = bytesPerRow * height;
+
+  let data = '';
+  let previous = null;
+  for (const row of rows) {
+    data += row === previous ? ':' : compressRow(row);
+    previous = row;
+  }
+
+  return [
+    '^XA',
+    `^PW${width}`,
+    `^LL${height}`,
+    `^FO0,0^GFA,${totalBytes},${totalBytes},${bytesPerRow},${data}^FS`,
+    '^XZ',
+    ''
+  ].join('\n');
+};
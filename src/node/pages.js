@@ -0,0 +1,189 @@
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { createCanvas, DOMMatrix, ImageData, loadImage, Path2D } from '@napi-rs/canvas';
+import { openHeic, openTiff } from '../lib/imageFormats.js';
+import { PdfError, openPdf } from '../lib/pdfDocument.js';
+
+// --- Node page loading for the CLI and the tests ---
+// The Node counterpart of the worker's engine and page loading: OpenCV.js and
+// the pdf.js legacy build, with @napi-rs/canvas standing in for OffscreenCanvas.
+
+const require = createRequire(import.meta.url);
+
+// pdf.js draws with these and would otherwise try to load the `canvas` package
+globalThis.DOMMatrix ??= DOMMatrix;
+globalThis.Path2D ??= Path2D;
+
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+export const PDF_EXTENSIONS = ['.pdf'];
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp'];
+// Decoded here rather than by @napi-rs/canvas; every frame is a page
+export const FRAME_EXTENSIONS = ['.tif', '.tiff', '.heic', '.heif'];
+
+let cvReady = null;
+export const loadOpenCv = () => {
+  if (!cvReady) {
+    cvReady = import('@techstark/opencv-js').then(opencv => {
+      const cv = opencv.default || opencv;
+      if (cv.Mat) return cv;
+      // Resolves once the WebAssembly runtime is up; the module is a thenable
+      return new Promise(resolve => {
+        if (typeof cv.then === 'function') {
+          cv.then(ready => {
+            // A thenable resolving to itself would loop, so drop `then` first
+            delete ready.then;
+            resolve(ready);
+          });
+        } else {
+          cv.onRuntimeInitialized = () => resolve(cv);
+        }
+      });
+    });
+  }
+  return cvReady;
+};
+
+const canvasFactory = {
+  create: (width, height) => {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset: (target, width, height) => {
+    target.canvas.width = width;
+    target.canvas.height = height;
+  },
+  destroy: (target) => {
+    target.canvas.width = 0;
+    target.canvas.height = 0;
+    target.canvas = null;
+    target.context = null;
+  }
+};
+
+const pixelsOf = (canvas) => {
+  const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return { data: new Uint8ClampedArray(data), width, height };
+};
+
+const whiteCanvas = (width, height) => {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+  return { canvas, context };
+};
+
+// Expands folders (not recursively) into the PDFs and images they contain.
+// Returns [{ file, error }]; inputs that can't be read keep their place in the
+// list with an error, so the rest can still be processed.
+export const listInputs = async (inputs) => {
+  const supported = [...PDF_EXTENSIONS, ...IMAGE_EXTENSIONS, ...FRAME_EXTENSIONS];
+  const files = [];
+  for (const input of inputs) {
+    try {
+      if ((await stat(input)).isDirectory()) {
+        const entries = (await readdir(input)).sort();
+        files.push(...entries
+          .filter(name => supported.includes(path.extname(name).toLowerCase()))
+          .map(name => ({ file: path.join(input, name), error: null })));
+      } else {
+        files.push({ file: input, error: null });
+      }
+    } catch (err) {
+      const message = err.code === 'ENOENT' ? "No such file or folder." : err.message;
+      files.push({ file: input, error: new Error(message, { cause: err }) });
+    }
+  }
+  return files;
+};
+
+/**
+ * Renders every page of a PDF or image file onto white, one at a time. TIFF
+ * frames and HEIC images are pages too.
+ * Yields { page, pixels, info }, where info is the same PDF page info the worker
+ * reports (size in inches, text, words, transform, rotation) and null for images.
+ * PDF pages that can't be read yield { page, pixels: null, error } instead.
+ * @param scale PDF render scale; 5 is about 360 DPI, as in the app
+ * @param password for encrypted PDFs
+ * @throws {PdfError} when a PDF can't be opened
+ */
+export async function* readPages(file, { scale = 5, password } = {}) {
+  const bytes = await readFile(file);
+  const extension = path.extname(file).toLowerCase();
+
+  if (FRAME_EXTENSIONS.includes(extension)) {
+    const data = new Uint8Array(bytes);
+    const frames = extension.startsWith('.tif')
+      ? openTiff(require('utif'), data)
+      : openHeic(require('libheif-js/wasm-bundle'), data);
+    try {
+      for (let index = 0; index < frames.pageCount; index++) {
+        const { data: rgba, width, height } = await frames.decode(index);
+        // Composited onto white like the other formats, so transparency reads as paper
+        const frame = createCanvas(width, height);
+        frame.getContext('2d').putImageData(new ImageData(rgba, width, height), 0, 0);
+        const { canvas, context } = whiteCanvas(width, height);
+        context.drawImage(frame, 0, 0);
+        yield { page: index + 1, pixels: pixelsOf(canvas), info: null };
+      }
+    } finally {
+      frames.close?.();
+    }
+    return;
+  }
+
+  if (!PDF_EXTENSIONS.includes(extension)) {
+    const image = await loadImage(bytes);
+    const { canvas, context } = whiteCanvas(image.width, image.height);
+    context.drawImage(image, 0, 0);
+    yield { page: 1, pixels: pixelsOf(canvas), info: null };
+    return;
+  }
+
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const { pdf } = await openPdf(pdfjsLib, new Uint8Array(bytes), {
+    password,
+    canvasFactory,
+    disableFontFace: true,
+    standardFontDataUrl: STANDARD_FONTS_DIR,
+    verbosity: pdfjsLib.VerbosityLevel.ERRORS
+  });
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      let page, viewport, canvas, content;
+      try {
+        page = await pdf.getPage(pageNumber);
+        viewport = page.getViewport({ scale });
+        const target = whiteCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+        canvas = target.canvas;
+        await page.render({ canvasContext: target.context, viewport, canvasFactory }).promise;
+        content = await page.getTextContent();
+      } catch (err) {
+        // The other pages may still be fine
+        yield { page: pageNumber, pixels: null, info: null, error: new PdfError('damaged-page', err) };
+        continue;
+      }
+
+      const size = page.getViewport({ scale: 1 });
+      const info = {
+        width: size.width / 72,
+        height: size.height / 72,
+        text: content.items.map(item => item.str).join(' '),
+        // Where each piece of text starts, in canvas pixels, for telling regions apart
+        words: content.items.map(item => {
+          const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+          return { text: item.str, x, y };
+        }),
+        transform: viewport.transform,
+        rotation: viewport.rotation
+      };
+      page.cleanup();
+      yield { page: pageNumber, pixels: pixelsOf(canvas), info };
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -0,0 +1,487 @@
+import { cropLabel, cropSlip, findLabels, matToPixels } from '../lib/detection';
+import { BARCODE_FORMATS, identifyTracking } from '../lib/tracking';
+import { despeckle, toMonochrome } from '../lib/monochrome';
+import { encodeMonochromePng } from '../lib/png';
+import { openHeic, openTiff } from '../lib/imageFormats';
+import { PdfError, openPdf } from '../lib/pdfDocument';
+import zxingWasmUrl from 'zxing-wasm/reader/zxing_reader.wasm?url';
+
+// --- Processing Worker ---
+// Runs PDF rasterization, label detection, cropping, rotation and resizing off
+// the main thread, drawing on OffscreenCanvas instead of DOM canvases.
+//
+// Messages in:  { type: 'call', id, method, params }, { type: 'cancel', jobId }
+// Messages out: { type: 'result', id, result }, { type: 'error', id, name, message, code? },
+//               { type: 'log', message }, { type: 'engine', engine },
+//               { type: 'progress', jobId, page, stage, source? }
+
+// Fonts pdf.js substitutes for non-embedded ones, emitted as build assets
+const STANDARD_FONTS_DIR = '/node_modules/pdfjs-dist/standard_fonts/';
+const STANDARD_FONT_URLS = import.meta.glob('/node_modules/pdfjs-dist/standard_fonts/*.{pfb,ttf}', {
+  query: '?url',
+  import: 'default',
+  eager: true
+});
+
+// zxing-wasm reader module, once loaded
+let barcodeReader = null;
+
+// Open documents by job id: { kind: 'pdf', pdf }, { kind: 'image', file } for
+// formats the browser decodes, or { kind: 'frames', frames } for TIFF and HEIC
+const documents = new Map();
+const cancelledJobs = new Set();
+
+const log = (message) => self.postMessage({ type: 'log', message });
+
+const progress = (jobId, page, stage, extra = {}) => {
+  self.postMessage({ type: 'progress', jobId, page, stage, ...extra });
+};
+
+class CancelledError extends Error {
+  constructor() {
+    super('Cancelled.');
+    this.name = 'CancelledError';
+  }
+}
+
+const checkCancelled = (jobId) => {
+  if (jobId && cancelledJobs.has(jobId)) throw new CancelledError();
+};
+
+// Lets queued messages (such as a cancel) run between heavy stages
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// --- 1. Engine Loading ---
+// Both engines are bundled with the app and imported on demand, so nothing is
+// fetched from third-party servers and the service worker can cache them.
+// The builds are CommonJS/UMD, hence the default-export fallbacks.
+const loadPdfEngine = async () => {
+  const [pdfjs, pdfjsWorker] = await Promise.all([
+    import('pdfjs-dist/build/pdf'),
+    import('pdfjs-dist/build/pdf.worker')
+  ]);
+  // Exposing the pdf.js worker code on self makes pdf.js run it in this
+  // thread instead of spawning a nested worker
+  self.pdfjsWorker = pdfjsWorker.default || pdfjsWorker;
+  self.pdfjsLib = pdfjs.default || pdfjs;
+  self.postMessage({ type: 'engine', engine: 'pdf' });
+  log("PDF Engine loaded.");
+};
+
+const loadOpenCv = async () => {
+  const opencv = await import('@techstark/opencv-js');
+  self.cv = opencv.default || opencv;
+  await new Promise(resolve => {
+    if (self.cv.Mat) {
+      resolve();
+    } else if (typeof self.cv.then === 'function') {
+      self.cv.then(cv => {
+        self.cv = cv;
+        resolve();
+      });
+    } else {
+      self.cv.onRuntimeInitialized = resolve;
+    }
+  });
+  self.postMessage({ type: 'engine', engine: 'cv' });
+  log("OpenCV Engine loaded.");
+};
+
+const loadBarcodeReader = async () => {
+  const reader = await import('zxing-wasm/reader');
+  // The WebAssembly binary is served with the app rather than from a CDN
+  await reader.prepareZXingModule({
+    overrides: {
+      locateFile: (path, prefix) => (path.endsWith('.wasm') ? zxingWasmUrl : prefix + path)
+    },
+    fireImmediately: true
+  });
+  barcodeReader = reader;
+  log("Barcode reader loaded.");
+};
+
+// TIFF and HEIC decoders, loaded the first time such a file is opened.
+// libheif comes with its WebAssembly inlined.
+let libheif = null;
+const loadTiffDecoder = async () => {
+  const utif = await import('utif');
+  return utif.default || utif;
+};
+
+const loadHeicDecoder = async () => {
+  if (!libheif) {
+    const { default: createLibheif } = await import('libheif-js/libheif-wasm/libheif-bundle.mjs');
+    libheif = createLibheif();
+    log("HEIC decoder loaded.");
+  }
+  return libheif;
+};
+
+// --- 2. Canvas Helpers ---
+class BundledFontDataFactory {
+  async fetch({ filename }) {
+    const url = STANDARD_FONT_URLS[STANDARD_FONTS_DIR + filename];
+    if (!url) throw new Error(`Unknown standard font: ${filename}`);
+    const response = await fetch(url);
+    return new Uint8Array(await response.arrayBuffer());
+  }
+}
+
+const canvasFactory = {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+};
+
+// SVG filters need a DOM; without one pdf.js renders unfiltered
+const filterFactory = {
+  addFilter: () => 'none',
+  addHCMFilter: () => 'none',
+  addHighlightHCMFilter: () => 'none',
+  destroy() {}
+};
+
+const canvasToDataUrl = async (canvas) => {
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return new FileReaderSync().readAsDataURL(blob);
+};
+
+const decodeImage = async (source) => {
+  const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+  try {
+    return await createImageBitmap(blob);
+  } catch {
+    throw new Error("Could not decode image.");
+  }
+};
+
+const drawOnWhite = (bitmap) => {
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+
+  // Force white background again (double safety)
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+};
+
+// --- ROBUSTNESS FIX: Use matFromImageData ---
+const canvasToMat = (canvas) => {
+  // Get raw pixel data
+  const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return self.cv.matFromImageData(imageData);
+};
+
+// Plain { data, width, height } pixels from lib/detection.js -> ImageData
+const toImageData = ({ data, width, height }) => new ImageData(data, width, height);
+
+const matToImageData = (mat) => toImageData(matToPixels(self.cv, mat));
+
+const imageDataToDataUrl = (imageData) => {
+  const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvasToDataUrl(canvas);
+};
+
+// --- 3. Page Loading ---
+// `format` is an INPUT_FORMATS id. TIFF frames and HEIC images become pages.
+// PDFs that fail to open reject with a PdfError; `password` unlocks encrypted
+// ones, and `repaired` in the result says a damaged file had to be rebuilt.
+const openDocument = async ({ jobId, file, format, password }) => {
+  cancelledJobs.delete(jobId);
+
+  if (format === 'pdf') {
+    const data = new Uint8Array(await file.arrayBuffer());
+    const { pdf, repaired } = await openPdf(self.pdfjsLib, data, {
+      password,
+      canvasFactory,
+      filterFactory,
+      isOffscreenCanvasSupported: true,
+      // No DOM for @font-face here, so glyphs are drawn as paths
+      disableFontFace: true,
+      StandardFontDataFactory: BundledFontDataFactory
+    });
+    documents.set(jobId, { kind: 'pdf', pdf });
+    log(`PDF Loaded. Pages: ${pdf.numPages}.${repaired ? ' The file was damaged and has been repaired.' : ''}`);
+    return { pageCount: pdf.numPages, repaired };
+  }
+
+  if (format === 'tiff' || format === 'heic') {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const frames = format === 'tiff' ? openTiff(await loadTiffDecoder(), bytes) : openHeic(await loadHeicDecoder(), bytes);
+    documents.set(jobId, { kind: 'frames', frames });
+    log(`${format.toUpperCase()} Loaded. Pages: ${frames.pageCount}.`);
+    return { pageCount: frames.pageCount };
+  }
+
+  documents.set(jobId, { kind: 'image', file });
+  return { pageCount: 1 };
+};
+
+const closeDocument = async ({ jobId }) => {
+  const doc = documents.get(jobId);
+  documents.delete(jobId);
+  cancelledJobs.delete(jobId);
+  if (doc?.kind === 'pdf') await doc.pdf.destroy();
+  if (doc?.kind === 'frames') doc.frames.close?.();
+};
+
+// Resolves with the page drawn on a white canvas and its PNG data URL for
+// previews. PDF pages also report their size in inches and their text, which
+// template matching uses, and how canvas pixels map to PDF user space, which
+// vector export uses.
+const loadPage = async (doc, pageNumber) => {
+  if (doc.kind === 'image') {
+    const canvas = drawOnWhite(await decodeImage(doc.file));
+    return { canvas, source: await canvasToDataUrl(canvas) };
+  }
+
+  if (doc.kind === 'frames') {
+    const { data, width, height } = await doc.frames.decode(pageNumber - 1);
+    const canvas = drawOnWhite(await createImageBitmap(new ImageData(data, width, height)));
+    return { canvas, source: await canvasToDataUrl(canvas) };
+  }
+
+  // pdf.js skips broken drawing commands, so a page only fails when its
+  // objects can't be read at all
+  let page, viewport, canvas, content;
+  try {
+    page = await doc.pdf.getPage(pageNumber);
+
+    // Scale 5.0 ≈ 360 DPI (High quality for crisp text)
+    viewport = page.getViewport({ scale: 5.0 });
+
+    canvas = new OffscreenCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+    const context = canvas.getContext('2d');
+
+    // Fill background with white to handle PDF transparency
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport: viewport }).promise;
+    content = await page.getTextContent();
+  } catch (err) {
+    throw new PdfError('damaged-page', err);
+  }
+
+  const size = page.getViewport({ scale: 1 });
+  const info = {
+    width: size.width / 72,
+    height: size.height / 72,
+    text: content.items.map(item => item.str).join(' '),
+    // Where each piece of text starts, in canvas pixels, for telling regions apart
+    words: content.items.map(item => {
+      const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+      return { text: item.str, x, y };
+    }),
+    // PDF user space -> canvas pixels, and the page's own /Rotate
+    transform: viewport.transform,
+    rotation: viewport.rotation
+  };
+  page.cleanup();
+
+  return { canvas, source: await canvasToDataUrl(canvas), info };
+};
+
+// --- 4. Label Finishing ---
+// Detection and cropping live in lib/detection.js; the worker adds barcode
+// reading, the thermal stage and PNG encoding.
+
+// Decodes the label's barcodes. A label without a readable barcode is still a
+// good crop, so failures only leave the tracking number empty.
+const readTracking = async (imageData) => {
+  try {
+    const barcodes = await barcodeReader.readBarcodes(imageData, { formats: BARCODE_FORMATS, maxNumberOfSymbols: 8 });
+    const tracking = identifyTracking(barcodes.filter(b => b.isValid).map(({ format, text }) => ({ format, text })));
+    if (tracking) {
+      log(`Tracking number: ${tracking.trackingNumber} (${tracking.carrier || 'unknown carrier'}).`);
+    } else {
+      log("No tracking barcode found on the label.");
+    }
+    return tracking;
+  } catch (err) {
+    log(`Barcode reading failed: ${err.message}`);
+    return null;
+  }
+};
+
+// Thermal stage: cleans up the greyscale label and reduces it to 1 bit for
+// direct-thermal printers. mode is 'adaptive' or 'dither'. Returns a 1-bit PNG data URL.
+const toThermal = async (mat, mode) => {
+  const cv = self.cv;
+  let gray = new cv.Mat();
+  let denoised = new cv.Mat();
+  let blurred = new cv.Mat();
+  let rgba = new cv.Mat();
+
+  try {
+    cv.cvtColor(mat, gray, cv.COLOR_RGBA2GRAY, 0);
+    // Median filter removes scanner dust and JPEG noise but keeps edges
+    cv.medianBlur(gray, denoised, 3);
+    // Unsharp mask brings back the edges softened by resampling
+    cv.GaussianBlur(denoised, blurred, new cv.Size(0, 0), 1.5);
+    cv.addWeighted(denoised, 1.7, blurred, -0.7, 0, gray);
+    cv.cvtColor(gray, rgba, cv.COLOR_GRAY2RGBA);
+
+    const imageData = new ImageData(new Uint8ClampedArray(rgba.data), rgba.cols, rgba.rows);
+    let bits = toMonochrome(imageData, { mode });
+    // Dither patterns are speckle on purpose, so only thresholded output is cleaned
+    if (mode !== 'dither') bits = despeckle(bits, imageData.width, imageData.height);
+
+    const png = await encodeMonochromePng(bits, imageData.width, imageData.height);
+    return new FileReaderSync().readAsDataURL(png);
+  } finally {
+    gray.delete(); denoised.delete(); blurred.delete(); rgba.delete();
+  }
+};
+
+// Barcode and optional thermal stage on a cropped label (see lib/detection.js).
+// Returns { image, original, tracking, rotation }: the label as a PNG data URL,
+// the full-color label when the thermal stage changed it (otherwise null), its
+// tracking number and the clockwise turn applied to make it upright.
+const cropAndFinish = async (src, region, config, turn = 0) => {
+  const { mat, rotation } = cropLabel(self.cv, src, region, config, { turn, log });
+
+  try {
+    const imageData = matToImageData(mat);
+    const tracking = await readTracking(imageData);
+    const color = await imageDataToDataUrl(imageData);
+    if (config.THERMAL_MODE === 'off') return { image: color, original: null, tracking, rotation };
+
+    log(`Thermal output: ${config.THERMAL_MODE === 'dither' ? 'dithered' : 'adaptive threshold'}, 1-bit PNG.`);
+    return { image: await toThermal(mat, config.THERMAL_MODE), original: color, tracking, rotation };
+  } finally {
+    mat.delete();
+  }
+};
+
+// --- 5. Worker Methods ---
+// Resolves with the page size, every label on it and what the detector saw:
+// { width, height, labels: [{ rect, quad, image, ... }], pdfPage, debug }.
+// Contour outlines are left out; trace fetches them.
+const processPage = async ({ jobId, page, config }) => {
+  const doc = documents.get(jobId);
+  if (!doc) throw new Error("Document is no longer open.");
+
+  progress(jobId, page, 'rendering');
+  const started = performance.now();
+  const { canvas, source, info } = await loadPage(doc, page);
+  log(`Page ${page} rendered in ${Math.round(performance.now() - started)} ms (${canvas.width}x${canvas.height}).`);
+  checkCancelled(jobId);
+  progress(jobId, page, 'detecting', { source });
+  await yieldToMessages();
+  checkCancelled(jobId);
+
+  log("Starting Computer Vision analysis...");
+  let src = canvasToMat(canvas);
+  canvas.width = 0;
+
+  try {
+    const found = await detectAndFinish(src, info, config, async () => {
+      await yieldToMessages();
+      checkCancelled(jobId);
+      progress(jobId, page, 'cropping');
+    });
+    log(`Page ${page} done in ${Math.round(performance.now() - started)} ms.`);
+    return { ...found, pdfPage: info || null };
+  } finally {
+    src.delete();
+  }
+};
+
+// Finds the labels and packing slips on a page and finishes each label.
+// beforeCrop runs ahead of every label, for progress and cancellation.
+const detectAndFinish = async (src, info, config, beforeCrop = () => {}) => {
+  const { regions, slips: slipRegions, debug } = findLabels(self.cv, src, config, { page: info, log });
+
+  const labels = [];
+  for (const { rect, quad } of regions) {
+    await beforeCrop();
+    labels.push({ rect, quad, ...(await cropAndFinish(src, { rect, quad }, config)) });
+  }
+  // Packing slips are kept at the page's resolution, uncropped to any stock
+  const slips = [];
+  for (const region of slipRegions) {
+    slips.push({ rect: region.rect, image: await imageDataToDataUrl(toImageData(cropSlip(self.cv, src, region))) });
+  }
+  return { width: src.cols, height: src.rows, labels, slips, debug };
+};
+
+// Runs detection again on an already rendered page, e.g. with new detection
+// settings. `page` is the PDF page info processPage returned, if any.
+const detect = async ({ source, page = null, config }) => {
+  log("Re-running detection...");
+  const src = canvasToMat(drawOnWhite(await decodeImage(source)));
+  try {
+    return await detectAndFinish(src, page, config);
+  } finally {
+    src.delete();
+  }
+};
+
+// Traces the contour outlines for the detection view, without cropping
+// anything. `config` should be the one the page's labels were found with, so
+// the outlines match them.
+const trace = async ({ source, page = null, config }) => {
+  const src = canvasToMat(drawOnWhite(await decodeImage(source)));
+  try {
+    return findLabels(self.cv, src, config, { page, debug: true }).debug;
+  } finally {
+    src.delete();
+  }
+};
+
+// Re-renders a label from its source page with the user's edits: the crop
+// rectangle (or corners) and an extra clockwise turn
+const crop = async ({ source, rect, quad, turn = 0, config }) => {
+  const src = canvasToMat(drawOnWhite(await decodeImage(source)));
+  try {
+    return await cropAndFinish(src, { rect, quad }, config, turn);
+  } finally {
+    src.delete();
+  }
+};
+
+// Every other call waits for the engines, so files dropped early still work
+let enginesReady = null;
+const init = () => {
+  if (!enginesReady) {
+    log("Initializing environment...");
+    enginesReady = Promise.all([loadPdfEngine(), loadOpenCv(), loadBarcodeReader()]);
+  }
+  return enginesReady;
+};
+
+const methods = { init, openDocument, closeDocument, processPage, detect, trace, crop };
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'cancel') {
+    cancelledJobs.add(data.jobId);
+    return;
+  }
+  if (data.type !== 'call') return;
+
+  const { id, method, params } = data;
+  try {
+    await init();
+    const result = await methods[method](params || {});
+    self.postMessage({ type: 'result', id, result });
+  } catch (err) {
+    // PdfError codes tell the app which failure to show
+    const code = err instanceof PdfError ? err.code : undefined;
+    self.postMessage({ type: 'error', id, name: err.name, message: err.message, code });
+  }
+};
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { PDFDocument } from 'pdf-lib';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = path.join(ROOT, 'bin', 'crop-this-label.js');
+const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+
+const run = (args) => promisify(execFile)(process.execPath, [CLI, ...args], { cwd: ROOT });
+
+describe('crop-this-label CLI', () => {
+  let out;
+  before(async () => {
+    out = await mkdtemp(path.join(tmpdir(), 'crop-this-label-'));
+  });
+  after(() => rm(out, { recursive: true, force: true }));
+
+  it('crops a folder to PNGs, PDFs and a report', async () => {
+    await run(['--out', out, '--format', 'both', '--size', '4x4', '--dpi', '203', '--scale', '1.4', '--quiet', FIXTURES]);
+
+    const report = JSON.parse(await readFile(path.join(out, 'report.json'), 'utf8'));
+    assert.deepEqual(report.settings, { size: '4x4', dpi: 203, fit: 'fit', slipPaper: 'letter-half', scale: 1.4 });
+    assert.deepEqual(report.files.map(f => path.basename(f.file)), [
+      'ebay-letter.pdf', 'etsy-letter.pdf', 'single-letter.png', 'skewed.png', 'slip-beside-label.png', 'two-frames.tiff',
+      'two-up-mixed.png', 'two-up.png', 'upside-down.png'
+    ]);
+
+    const twoUp = report.files.find(f => f.file.endsWith('two-up.png'));
+    assert.deepEqual(twoUp.pages[0].labels.map(l => l.output), ['two-up_p1_1_4x4.png', 'two-up_p1_2_4x4.png']);
+    assert.deepEqual(twoUp.outputs, ['two-up_4x4.pdf']);
+
+    const tiff = report.files.find(f => f.file.endsWith('two-frames.tiff'));
+    assert.deepEqual(tiff.pages.map(p => p.labels.map(l => l.output)), [['two-frames_p1_4x4.png'], ['two-frames_p2_4x4.png']]);
+
+    const etsy = report.files.find(f => f.file.endsWith('etsy-letter.pdf'));
+    assert.deepEqual(etsy.pages[0].slips.map(s => s.output), ['etsy-letter_p1_slip.png']);
+    assert.deepEqual(etsy.outputs, ['etsy-letter_4x4.pdf', 'etsy-letter_slips_half-letter.pdf']);
+
+    const files = await readdir(out);
+    for (const entry of report.files) {
+      const pageOutputs = entry.pages.flatMap(p => [...p.labels, ...p.slips].map(o => o.output));
+      for (const name of [...entry.outputs, ...pageOutputs]) {
+        assert.ok(files.includes(name), `${name} was not written`);
+      }
+    }
+  });
+
+  it('writes PDF pages at the label size', async () => {
+    const pdf = await PDFDocument.load(await readFile(path.join(out, 'ebay-letter_4x4.pdf')));
+    assert.equal(pdf.getPageCount(), 1);
+    const { width, height } = pdf.getPage(0).getSize();
+    assert.deepEqual([Math.round(width), Math.round(height)], [288, 288]);
+  });
+
+  it('writes packing slips on half-page paper', async () => {
+    const pdf = await PDFDocument.load(await readFile(path.join(out, 'etsy-letter_slips_half-letter.pdf')));
+    assert.equal(pdf.getPageCount(), 1);
+    const { width, height } = pdf.getPage(0).getSize();
+    assert.deepEqual([Math.round(width), Math.round(height)], [396, 612]);
+  });
+
+  it('opens encrypted PDFs with --password', async () => {
+    const locked = path.join(FIXTURES, 'pdf-errors', 'locked.pdf');
+    await assert.rejects(run(['--out', out, '--quiet', locked]), (err) => {
+      assert.equal(err.code, 1);
+      assert.match(err.stderr, /password-protected/);
+      return true;
+    });
+
+    await run(['--out', out, '--quiet', '--password', 'label', locked]);
+    const report = JSON.parse(await readFile(path.join(out, 'report.json'), 'utf8'));
+    assert.deepEqual(report.files[0].pages[0].labels.map(l => l.output), ['locked_p1_4x6.png']);
+  });
+
+  it('reports missing inputs and carries on with the rest', async () => {
+    const missing = path.join(FIXTURES, 'missing.pdf');
+    await assert.rejects(run(['--out', out, '--quiet', missing, path.join(FIXTURES, 'single-letter.png')]), (err) => {
+      assert.equal(err.code, 1);
+      assert.match(err.stderr, /missing\.pdf: No such file or folder\./);
+      assert.doesNotMatch(err.stderr, /at async/);
+      return true;
+    });
+
+    const report = JSON.parse(await readFile(path.join(out, 'report.json'), 'utf8'));
+    assert.deepEqual(report.files[0], { file: missing, pages: [], outputs: [], error: 'No such file or folder.' });
+    assert.deepEqual(report.files[1].pages[0].labels.map(l => l.output), ['single-letter_p1_4x6.png']);
+  });
+
+  it('rejects unknown option values', async () => {
+    await assert.rejects(run(['--size', 'letter', FIXTURES]), (err) => {
+      assert.equal(err.code, 2);
+      assert.match(err.stderr, /Unknown label size "letter"/);
+      return true;
+    });
+  });
+});
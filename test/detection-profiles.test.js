@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BUILT_IN_PROFILES, DETECTION_SETTINGS, sanitizeSettings, settingLimits } from '../src/lib/detectionProfiles.js';
+
+const setting = (key) => DETECTION_SETTINGS.find(s => s.key === key);
+const defaults = BUILT_IN_PROFILES[0].settings;
+
+describe('detection settings', () => {
+  it('keeps a minimum from passing its maximum, and the reverse', () => {
+    const settings = { ...defaults, MIN_AREA_RATIO: 0.05, MAX_AREA_RATIO: 0.3, MIN_ASPECT: 0.5, MAX_ASPECT: 3 };
+    assert.deepEqual(settingLimits(setting('MIN_AREA_RATIO'), settings), { min: 0.001, max: 0.3 });
+    assert.deepEqual(settingLimits(setting('MAX_AREA_RATIO'), settings), { min: 0.1, max: 1 });
+    assert.deepEqual(settingLimits(setting('MAX_ASPECT'), { ...settings, MIN_ASPECT: 1 }), { min: 1, max: 20 });
+    assert.deepEqual(settingLimits(setting('BLUR_SIZE'), settings), { min: 1, max: 31 });
+  });
+
+  it('lowers the minimum of an inverted range', () => {
+    const settings = sanitizeSettings({ ...defaults, MIN_AREA_RATIO: 0.4, MAX_AREA_RATIO: 0.2 });
+    assert.equal(settings.MIN_AREA_RATIO, 0.2);
+    assert.equal(settings.MAX_AREA_RATIO, 0.2);
+  });
+
+  it('clamps out-of-range values and rounds kernel sizes to odd numbers', () => {
+    const settings = sanitizeSettings({ ...defaults, MAX_ASPECT: 50, BLUR_SIZE: 8, DILATE_SIZE: 'wide' });
+    assert.equal(settings.MAX_ASPECT, 20);
+    assert.equal(settings.BLUR_SIZE, 9);
+    assert.equal(settings.DILATE_SIZE, defaults.DILATE_SIZE);
+  });
+});
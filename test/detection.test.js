@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_CONFIG, extractLabels, matToPixels } from '../src/lib/detection.js';
+import { loadOpenCv, readPages } from '../src/node/pages.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const { tolerance, fixtures } = JSON.parse(await readFile(path.join(FIXTURES, 'expected.json'), 'utf8'));
+
+// Every edge of the crop within `tolerance` pixels of the label's own edges
+const assertRect = (actual, expected, message) => {
+  const edges = (r) => [r.x, r.y, r.x + r.width, r.y + r.height];
+  const off = edges(actual).map((edge, i) => Math.abs(edge - edges(expected)[i]));
+  assert.ok(Math.max(...off) <= tolerance, `${message}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+};
+
+const assertQuad = (actual, expected, message) => {
+  assert.ok(actual, `${message}: no corners found`);
+  actual.points.forEach((point, i) => {
+    const [x, y] = expected[i];
+    assert.ok(Math.hypot(point.x - x, point.y - y) <= tolerance * Math.SQRT2,
+      `${message}: corner ${i} at ${point.x},${point.y}, expected ${x},${y}`);
+  });
+};
+
+describe('label detection', () => {
+  let cv;
+  before(async () => {
+    cv = await loadOpenCv();
+  });
+
+  for (const fixture of fixtures) {
+    it(`crops ${fixture.file}`, async () => {
+      const pages = readPages(path.join(FIXTURES, fixture.file), { scale: fixture.scale });
+      const { value: { pixels, info } } = await pages.next();
+      await pages.return();
+      const result = extractLabels(cv, pixels, DEFAULT_CONFIG, { page: info });
+
+      assert.equal(result.template, fixture.template ?? null);
+      assert.equal(result.labels.length, fixture.labels.length);
+      fixture.labels.forEach((expected, i) => {
+        const label = result.labels[i];
+        assertRect(label.rect, expected.rect, `label ${i + 1}`);
+        if (expected.quad) {
+          assertQuad(label.quad, expected.quad, `label ${i + 1}`);
+        } else {
+          assert.equal(label.quad, null, `label ${i + 1} should be a straight crop`);
+        }
+        if ('rotation' in expected) assert.equal(label.rotation, expected.rotation, `label ${i + 1} rotation`);
+        assert.deepEqual([label.pixels.width, label.pixels.height], [DEFAULT_CONFIG.TARGET_WIDTH, DEFAULT_CONFIG.TARGET_HEIGHT]);
+      });
+
+      const slips = fixture.slips || [];
+      assert.equal(result.slips.length, slips.length, 'packing slips');
+      slips.forEach((expected, i) => {
+        const slip = result.slips[i];
+        assertRect(slip.rect, expected.rect, `slip ${i + 1}`);
+        assert.deepEqual([slip.pixels.width, slip.pixels.height], [slip.rect.width, slip.rect.height]);
+      });
+    });
+  }
+
+  it('reads every TIFF frame as a page and skips thumbnails', async () => {
+    const found = [];
+    for await (const { page, pixels, info } of readPages(path.join(FIXTURES, 'two-frames.tiff'))) {
+      assert.equal(info, null);
+      found.push({ page, rects: extractLabels(cv, pixels, DEFAULT_CONFIG).labels.map(l => l.rect) });
+    }
+    assert.deepEqual(found.map(f => f.page), [1, 2]);
+    assertRect(found[1].rects[0], { x: 60, y: 40, width: 400, height: 600 }, 'page 2 label');
+  });
+
+  it('detects on a scaled-down copy of large pages and crops at full size', async () => {
+    const factor = 3;
+    const { value: { pixels } } = await readPages(path.join(FIXTURES, 'skewed.png')).next();
+    const small = cv.matFromImageData(pixels);
+    const large = new cv.Mat();
+    let page;
+    try {
+      cv.resize(small, large, new cv.Size(small.cols * factor, small.rows * factor), 0, 0, cv.INTER_CUBIC);
+      page = matToPixels(cv, large);
+    } finally {
+      small.delete(); large.delete();
+    }
+    assert.ok(Math.max(page.width, page.height) > DEFAULT_CONFIG.DETECT_MAX_SIZE);
+
+    const logs = [];
+    const { labels, debug } = extractLabels(cv, page, DEFAULT_CONFIG, { log: message => logs.push(message) });
+    assert.ok(logs.some(message => /^Detection took \d+ ms at \d+x\d+ \(page 2550x3300\)/.test(message)), logs.join('\n'));
+
+    const expected = fixtures.find(f => f.file === 'skewed.png').labels[0];
+    const scaled = (r) => ({ x: r.x / factor, y: r.y / factor, width: r.width / factor, height: r.height / factor });
+    assertRect(scaled(labels[0].rect), expected.rect, 'label');
+    assertQuad({ points: labels[0].quad.points.map(p => ({ x: p.x / factor, y: p.y / factor })) }, expected.quad, 'label');
+    assert.deepEqual(debug.candidates.find(c => c.chosen).rect, labels[0].rect);
+  });
+
+  it('reports every candidate for the debug view', async () => {
+    const pages = readPages(path.join(FIXTURES, 'single-letter.png'));
+    const { value: { pixels } } = await pages.next();
+    const { labels, debug } = extractLabels(cv, pixels, DEFAULT_CONFIG, { debug: true });
+
+    const chosen = debug.candidates.filter(c => c.chosen);
+    assert.deepEqual(chosen.map(c => c.rect), labels.map(l => l.rect));
+    assert.equal(chosen[0].score, 1);
+
+    // The empty box passes the filters but is too small to be a label or a slip
+    const box = debug.candidates.find(c => !c.chosen && c.rect.x > 500);
+    assert.ok(box, 'empty box missing from candidates');
+    assert.equal(box.kind, 'other');
+    assert.ok(box.score < DEFAULT_CONFIG.MIN_RELATIVE_AREA);
+    assert.ok(debug.contours.length >= debug.candidates.length);
+    assert.ok(debug.contours.every(c => c.points.length > 0));
+    const areas = debug.contours.map(c => c.rect.width * c.rect.height);
+    assert.deepEqual(areas, [...areas].sort((a, b) => b - a), 'largest contours first');
+  });
+
+  it('keeps a label whose barcode was missed beside one whose barcode was found', async () => {
+    const pages = readPages(path.join(FIXTURES, 'two-up-mixed.png'));
+    const { value: { pixels } } = await pages.next();
+    const { labels, slips, debug } = extractLabels(cv, pixels, DEFAULT_CONFIG);
+
+    assert.equal(labels.length, 2);
+    assert.equal(slips.length, 0);
+    // Only the left label's barcode is found, so this covers the mixed case
+    assert.deepEqual(debug.candidates.filter(c => c.chosen).map(c => c.kind).sort(), ['label', 'other']);
+  });
+
+  it('only traces contours when the debug view asks for them', async () => {
+    const pages = readPages(path.join(FIXTURES, 'single-letter.png'));
+    const { value: { pixels } } = await pages.next();
+    const { labels, debug } = extractLabels(cv, pixels, DEFAULT_CONFIG);
+
+    assert.equal(debug.contours, null);
+    assert.deepEqual(debug.candidates.filter(c => c.chosen).map(c => c.rect), labels.map(l => l.rect));
+  });
+});
@@ -0,0 +1,316 @@
+// Regenerates the sample label fixtures: `node test/fixtures/generate.js`.
+// The labels are synthetic (a bordered box with text-like blocks and a 1D
+// barcode near the bottom) so the expected crop rectangles are known exactly.
+// expected.json is written by hand; see the test for the tolerances.
+// pdf-errors/ holds PDFs that don't open cleanly; the CLI test skips it.
+import { createHash } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createCanvas } from '@napi-rs/canvas';
+import { PDFDocument, PDFNumber, PDFOperator, StandardFonts, rgb } from 'pdf-lib';
+import UTIF from 'utif';
+
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+const PDF_ERRORS_DIR = path.join(DIR, 'pdf-errors');
+
+// Small deterministic PRNG so every run draws the same barcode
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+// Upright 4x6 label content at 100 DPI. The barcode has random bar widths,
+// which the barcode finder misses; with `pitch` it is evenly spaced, like a
+// real one scanned at 100 DPI, and is found.
+const drawLabel = (context, width, height, seed = 1, pitch = null) => {
+  const next = random(seed);
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+  context.strokeStyle = 'black';
+  context.lineWidth = 6;
+  context.strokeRect(3, 3, width - 6, height - 6);
+
+  context.fillStyle = 'black';
+  // Address lines: tall "capitals" on the left of each line, x-height blocks after
+  for (let line = 0; line < 8; line++) {
+    const y = 40 + line * 30;
+    let x = 30;
+    while (x < width * 0.7) {
+      const word = 20 + Math.floor(next() * 40);
+      context.fillRect(x, y, 8, 16);
+      context.fillRect(x + 10, y + 6, word, 10);
+      x += word + 22;
+    }
+  }
+  context.fillRect(20, height * 0.55, width - 40, 4);
+
+  // Tracking barcode across the lower part of the label
+  if (pitch) {
+    for (let x = 40; x < width - 40; x += pitch) context.fillRect(x, height * 0.66, pitch / 2, height * 0.2);
+    return;
+  }
+  let x = 40;
+  while (x < width - 40) {
+    const bar = 2 + Math.floor(next() * 5);
+    context.fillRect(x, height * 0.66, bar, height * 0.2);
+    x += bar + 2 + Math.floor(next() * 5);
+  }
+};
+
+// Packing slip: title, address lines and an item table, no barcode
+const drawSlip = (context, x, y, width, height) => {
+  context.strokeStyle = 'black';
+  context.lineWidth = 3;
+  context.strokeRect(x, y, width, height);
+  context.fillStyle = 'black';
+  context.fillRect(x + 20, y + 20, 160, 22);
+  for (let line = 0; line < 3; line++) context.fillRect(x + 20, y + 60 + line * 18, 140, 8);
+  context.lineWidth = 1;
+  for (let row = 0; row <= 5; row++) {
+    const rowY = y + 140 + row * 36;
+    context.beginPath();
+    context.moveTo(x + 20, rowY);
+    context.lineTo(x + width - 20, rowY);
+    context.stroke();
+    if (row < 5) context.fillRect(x + 30, rowY + 14, 120 + row * 20, 8);
+  }
+};
+
+const labelCanvas = (seed, pitch) => {
+  const canvas = createCanvas(400, 600);
+  drawLabel(canvas.getContext('2d'), 400, 600, seed, pitch);
+  return canvas;
+};
+
+const page = (width, height) => {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+  return { canvas, context };
+};
+
+const save = (name, canvas) => writeFile(path.join(DIR, name), canvas.toBuffer('image/png'));
+
+// Letter page at 100 DPI: one label and a small empty box beside it
+const single = async () => {
+  const { canvas, context } = page(850, 1100);
+  context.drawImage(labelCanvas(1), 60, 60);
+  context.lineWidth = 3;
+  context.strokeRect(560, 80, 180, 120);
+  await save('single-letter.png', canvas);
+};
+
+// Landscape letter page with two labels side by side
+const twoUp = async () => {
+  const { canvas, context } = page(1100, 850);
+  context.drawImage(labelCanvas(2), 80, 120);
+  context.drawImage(labelCanvas(3), 600, 120);
+  await save('two-up.png', canvas);
+};
+
+// Two labels side by side, only one with a barcode the finder picks up
+const twoUpMixed = async () => {
+  const { canvas, context } = page(1100, 850);
+  context.drawImage(labelCanvas(7, 4), 80, 120);
+  context.drawImage(labelCanvas(8), 600, 120);
+  await save('two-up-mixed.png', canvas);
+};
+
+// Scanned slightly crooked: 6 degrees clockwise around the label centre
+const skewed = async () => {
+  const { canvas, context } = page(850, 1100);
+  context.translate(300, 420);
+  context.rotate((6 * Math.PI) / 180);
+  context.drawImage(labelCanvas(4), -200, -300);
+  await save('skewed.png', canvas);
+};
+
+// Label printed upside down on the page
+const upsideDown = async () => {
+  const { canvas, context } = page(850, 1100);
+  context.translate(100 + 200, 80 + 300);
+  context.rotate(Math.PI);
+  context.drawImage(labelCanvas(5), -200, -300);
+  await save('upside-down.png', canvas);
+};
+
+// Landscape page with the label on the left and a packing slip on the right
+const slipBeside = async () => {
+  const { canvas, context } = page(1100, 850);
+  context.drawImage(labelCanvas(6), 40, 125);
+  drawSlip(context, 500, 245, 560, 340);
+  await save('slip-beside-label.png', canvas);
+};
+
+// 1-bit, uncompressed TIFF strips: rows padded to whole bytes, 1 = black
+const bilevel = (canvas) => {
+  const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  const stride = Math.ceil(width / 8);
+  const bits = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4] < 128) bits[y * stride + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return { width, height, bits };
+};
+
+// Scanner-style multi-page TIFF: two label pages with a reduced-resolution
+// thumbnail of the first between them, which the readers should skip
+const tiffFrames = async () => {
+  const pages = [[7, 50, 50], [8, 60, 40]].map(([seed, x, y]) => {
+    const { canvas, context } = page(500, 700);
+    context.drawImage(labelCanvas(seed), x, y);
+    return canvas;
+  });
+  const thumbnail = page(50, 70);
+  thumbnail.context.drawImage(pages[0], 0, 0, 50, 70);
+  const frames = [
+    { image: bilevel(pages[0]), subfile: 0 },
+    { image: bilevel(thumbnail.canvas), subfile: 1 },
+    { image: bilevel(pages[1]), subfile: 0 }
+  ];
+
+  // UTIF can read NewSubfileType but doesn't know its type (LONG) for writing
+  UTIF.ttypes[254] ??= 4;
+  const ifds = (offsets) => frames.map(({ image, subfile }, i) => ({
+    t254: [subfile], t256: [image.width], t257: [image.height], t258: [1], t259: [1], t262: [0],
+    t273: [offsets[i]], t277: [1], t278: [image.height], t279: [image.bits.length]
+  }));
+  // Headers first, then the strips; the offsets don't change the header size
+  const headerSize = UTIF.encode(ifds(frames.map(() => 0))).byteLength;
+  const offsets = frames.map((_, i) => headerSize + frames.slice(0, i).reduce((sum, f) => sum + f.image.bits.length, 0));
+  const header = new Uint8Array(UTIF.encode(ifds(offsets)));
+  await writeFile(path.join(DIR, 'two-frames.tiff'), Buffer.concat([header, ...frames.map(f => f.image.bits)]));
+};
+
+// eBay-style letter PDF: label on the top half, instructions below
+const ebayPdf = async () => {
+  const pdf = await PDFDocument.create();
+  const pdfPage = pdf.addPage([612, 792]);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  pdfPage.drawRectangle({ x: 36, y: 432, width: 216, height: 324, borderWidth: 2, borderColor: rgb(0, 0, 0) });
+  pdfPage.drawText('USPS GROUND ADVANTAGE', { x: 48, y: 726, size: 12, font });
+  pdfPage.drawText('Shipped with eBay', { x: 48, y: 444, size: 10, font });
+  pdfPage.drawText('Fold here and place the label in a pouch.', { x: 36, y: 300, size: 12, font });
+  await writeFile(path.join(DIR, 'ebay-letter.pdf'), await pdf.save());
+};
+
+// Etsy-style letter PDF: label on the top half, packing slip on the bottom half
+const etsyPdf = async () => {
+  const pdf = await PDFDocument.create();
+  const pdfPage = pdf.addPage([612, 792]);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  pdfPage.drawRectangle({ x: 36, y: 432, width: 216, height: 324, borderWidth: 2, borderColor: rgb(0, 0, 0) });
+  pdfPage.drawText('USPS TRACKING # 9400 1000 0000 0000 0000 00', { x: 44, y: 600, size: 7, font });
+  for (let x = 56; x < 232; x += 6) {
+    pdfPage.drawRectangle({ x, y: 480, width: 2 + (x % 4), height: 90, color: rgb(0, 0, 0) });
+  }
+  pdfPage.drawText('Etsy', { x: 48, y: 726, size: 12, font });
+  pdfPage.drawText('Packing slip', { x: 36, y: 340, size: 16, font });
+  pdfPage.drawText('Order #1234567890', { x: 36, y: 316, size: 10, font });
+  pdfPage.drawText('Qty   Item   SKU', { x: 36, y: 290, size: 10, font });
+  pdfPage.drawText('1     Handmade mug   MUG-01', { x: 36, y: 274, size: 10, font });
+  pdfPage.drawText('Thank you for your order!', { x: 36, y: 120, size: 10, font });
+  await writeFile(path.join(DIR, 'etsy-letter.pdf'), await pdf.save());
+};
+
+// --- PDFs that don't open cleanly ---
+
+// Label border and barcode bars as PDF drawing operators, one per line,
+// placed like the eBay label
+const LABEL_OPERATORS = [
+  '2 w', '36 432 216 324 re', 'S',
+  ...Array.from({ length: 30 }, (_, i) => [`${56 + i * 6} 480 ${2 + (i % 2) * 2} 90 re`, 'f']).flat()
+].join('\n');
+
+const rc4 = (key, data) => {
+  const s = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 255;
+    j = (j + s[i]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[n] = data[n] ^ s[(s[i] + s[j]) & 255];
+  }
+  return out;
+};
+
+const md5 = (...parts) => createHash('md5').update(Buffer.concat(parts)).digest();
+
+// Letter page with the label, encrypted with the 40-bit RC4 standard security
+// handler (revision 2) and the user password "label". pdf-lib can't encrypt,
+// so the file is written by hand.
+const lockedPdf = async () => {
+  const PAD = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+  const pad = (password) => Buffer.concat([Buffer.from(password, 'latin1'), PAD]).subarray(0, 32);
+  const id = Buffer.from('0123456789abcdef0123456789abcdef', 'hex');
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(-44);
+
+  const owner = rc4(md5(pad('owner')).subarray(0, 5), pad('label'));
+  const key = md5(pad('label'), owner, permissions, id).subarray(0, 5);
+  const user = rc4(key, PAD);
+  const objectKey = (number) => md5(key, Buffer.from([number & 255, (number >> 8) & 255, (number >> 16) & 255, 0, 0])).subarray(0, 10);
+
+  const content = rc4(objectKey(4), Buffer.from(LABEL_OPERATORS, 'latin1'));
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R >>',
+    [`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream'],
+    `<< /Filter /Standard /V 1 /R 2 /O <${owner.toString('hex')}> /U <${user.toString('hex')}> /P -44 >>`
+  ];
+
+  const parts = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+  const add = (part) => {
+    const buffer = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+    parts.push(buffer);
+    length += buffer.length;
+  };
+  objects.forEach((body, i) => {
+    offsets.push(length);
+    add(`${i + 1} 0 obj\n`);
+    [body].flat().forEach(add);
+    add('\nendobj\n');
+  });
+  const xref = length;
+  add(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => add(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  add(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Encrypt 5 0 R /ID [<${id.toString('hex')}> <${id.toString('hex')}>] >>\n`);
+  add(`startxref\n${xref}\n%%EOF\n`);
+  await writeFile(path.join(PDF_ERRORS_DIR, 'locked.pdf'), Buffer.concat(parts));
+};
+
+// The same label cut off inside its last object, as an interrupted download
+// leaves it: no cross-reference table or trailer. pdf.js gives up on it.
+const truncatedPdf = async () => {
+  const pdf = await PDFDocument.create({ updateMetadata: false });
+  const pdfPage = pdf.addPage([612, 792]);
+  pdfPage.pushOperators(...LABEL_OPERATORS.split('\n').map(line => {
+    const tokens = line.split(' ');
+    return PDFOperator.of(tokens.pop(), tokens.map(t => PDFNumber.of(Number(t))));
+  }));
+  const bytes = Buffer.from(await pdf.save({ useObjectStreams: false }));
+  await writeFile(path.join(PDF_ERRORS_DIR, 'truncated.pdf'), bytes.subarray(0, bytes.lastIndexOf('endstream') + 'endstream'.length));
+};
+
+// What a carrier site returns once the session has expired, saved as a PDF
+const notAPdf = () => writeFile(
+  path.join(PDF_ERRORS_DIR, 'not-a-pdf.pdf'),
+  '<!DOCTYPE html>\n<html><head><title>Session expired</title></head><body><p>Please sign in again.</p></body></html>\n'
+);
+
+await mkdir(PDF_ERRORS_DIR, { recursive: true });
+await Promise.all([
+  single(), twoUp(), twoUpMixed(), skewed(), upsideDown(), slipBeside(), tiffFrames(), ebayPdf(), etsyPdf(),
+  lockedPdf(), truncatedPdf(), notAPdf()
+]);
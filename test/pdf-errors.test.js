@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_CONFIG, extractLabels } from '../src/lib/detection.js';
+import { PDF_ERROR_MESSAGES } from '../src/lib/pdfDocument.js';
+import { loadOpenCv, readPages } from '../src/node/pages.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pdf-errors');
+
+const readAll = async (file, options) => {
+  const pages = [];
+  for await (const page of readPages(path.join(FIXTURES, file), { scale: 1.4, ...options })) pages.push(page);
+  return pages;
+};
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (err) => {
+  assert.equal(err.name, 'PdfError');
+  assert.equal(err.code, code);
+  assert.equal(err.message, PDF_ERROR_MESSAGES[code]);
+  return true;
+});
+
+// The locked and truncated files hold the eBay label's border and barcode
+const LABEL = { x: 50, y: 50, width: 302, height: 454 };
+const TOLERANCE = 16;
+
+describe('PDFs that do not open cleanly', () => {
+  let cv;
+  before(async () => {
+    cv = await loadOpenCv();
+  });
+
+  const assertLabel = ({ pixels, info }) => {
+    const [label] = extractLabels(cv, pixels, DEFAULT_CONFIG, { page: info }).labels;
+    const edges = (r) => [r.x, r.y, r.x + r.width, r.y + r.height];
+    const off = edges(label.rect).map((edge, i) => Math.abs(edge - edges(LABEL)[i]));
+    assert.ok(Math.max(...off) <= TOLERANCE, `got ${JSON.stringify(label.rect)}`);
+  };
+
+  it('asks for the password of an encrypted PDF', async () => {
+    await rejectsWith(readAll('locked.pdf'), 'password-required');
+  });
+
+  it('tells a wrong password apart from a missing one', async () => {
+    await rejectsWith(readAll('locked.pdf', { password: 'parcel' }), 'password-incorrect');
+  });
+
+  it('opens an encrypted PDF with its password', async () => {
+    const pages = await readAll('locked.pdf', { password: 'label' });
+    assert.equal(pages.length, 1);
+    assertLabel(pages[0]);
+  });
+
+  it('repairs a truncated PDF', async () => {
+    const pages = await readAll('truncated.pdf');
+    assert.equal(pages.length, 1);
+    assertLabel(pages[0]);
+  });
+
+  it('recognizes a file that is not a PDF', async () => {
+    await rejectsWith(readAll('not-a-pdf.pdf'), 'not-pdf');
+  });
+});
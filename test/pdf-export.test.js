@@ -0,0 +1,18 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { pdfPlacement } from '../src/lib/pdfExport.js';
+
+// A US Letter page rendered at scale 2: canvas y runs down from the top
+const PAGE = { transform: [2, 0, 0, -2, 0, 1584], rotation: 90 };
+
+describe('vector export placement', () => {
+  it('maps a label rectangle to its box on the PDF page', () => {
+    const placement = pdfPlacement({ rect: { x: 100, y: 200, width: 400, height: 600 }, rotation: 180 }, PAGE);
+    assert.deepEqual(placement, { box: { left: 50, bottom: 392, right: 250, top: 692 }, rotation: 270 });
+  });
+
+  it('exports straightened labels as pixels', () => {
+    const quad = { points: [{ x: 110, y: 200 }, { x: 500, y: 215 }, { x: 490, y: 800 }, { x: 100, y: 785 }] };
+    assert.equal(pdfPlacement({ rect: { x: 100, y: 200, width: 400, height: 600 }, quad, rotation: 0 }, PAGE), null);
+  });
+});
@@ -1,7 +1,46 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Precaches the whole build, OpenCV and pdf.js included, so the app
+    // installs and keeps working offline after the first visit
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['favicon.svg'],
+      manifest: {
+        name: 'Crop This Label',
+        short_name: 'Crop Label',
+        description: 'Automatically crop and fix 4x6 shipping labels from PDFs and images. Runs locally in your browser.',
+        theme_color: '#4f46e5',
+        background_color: '#f8fafc',
+        display: 'standalone',
+        icons: [
+          { src: 'favicon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }
+        ]
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,pfb,ttf,wasm}'],
+        // opencv.js embeds its WebAssembly and is close to 10 MB
+        maximumFileSizeToCacheInBytes: 16 * 1024 * 1024
+      }
+    })
+  ],
+  optimizeDeps: {
+    // Only imported from the worker, which the dependency scan doesn't follow
+    include: [
+      'pdfjs-dist/build/pdf',
+      'pdfjs-dist/build/pdf.worker',
+      '@techstark/opencv-js',
+      'utif',
+      'libheif-js/libheif-wasm/libheif-bundle.mjs'
+    ]
+  },
+  worker: {
+    // The processing worker loads its engines with dynamic import()
+    format: 'es'
+  },
 })